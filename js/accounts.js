@@ -0,0 +1,349 @@
+/**
+ * accounts.js
+ * -----------
+ * Account records and their storage in `chrome.storage.sync`.
+ *
+ * Each account is stored as its own item under `account:<id>` so that a single
+ * record never runs into the per-item sync quota, and the storage layout is
+ * versioned by the top-level `schemaVersion` item. `migrateStorage()` upgrades
+ * older layouts (the flat `keys` map) and must run before any reader.
+ *
+ * Reads and writes go through vault.js, so callers always see plaintext
+ * `secret` (while unlocked) and storage only ever holds encrypted secrets
+ * when the vault is enabled.
+ */
+
+const ACCOUNT_SCHEMA_VERSION = 2;
+const ACCOUNT_KEY_PREFIX = "account:";
+// Prefix of the `chrome.storage.local` items counting each account's uses
+const ACCOUNT_USAGE_PREFIX = "usage:";
+
+/**
+ * Build a complete account record, filling in defaults for anything missing.
+ *
+ * Record shape (schema version 2):
+ * `{ id, type, name, issuer, secret, algorithm, digits, period, counter,
+ *    group, tags, domains, strict, autoSubmit, notes, favourite, order,
+ *    createdAt, updatedAt }`
+ *
+ * `domains` lists the websites the account belongs to (see domains.js), and
+ * `strict` refuses fills anywhere else instead of asking; `autoSubmit` opts
+ * the account into submitting the page's form after a fill. `notes` is free
+ * text from the edit page. `group` is the one group (folder) the account is
+ * listed under, "" for none; `tags` are any number of labels. `favourite`
+ * accounts are pinned to the top of the list, and `order` is the position set
+ * by dragging (any number; lower comes first). How often an account is used
+ * is not part of the record, see `recordAccountUse`.
+ *
+ * @param {Object} fields - Known fields (at least `name` and `secret`)
+ * @returns {Object} Account record with a fresh `id` unless one was given
+ */
+function createAccount(fields) {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    type: "totp",
+    name: "",
+    issuer: "",
+    secret: "",
+    algorithm: OTP_DEFAULTS.algorithm,
+    digits: OTP_DEFAULTS.digits,
+    period: OTP_DEFAULTS.period,
+    counter: 0,
+    group: "",
+    tags: [],
+    domains: [],
+    strict: false,
+    autoSubmit: false,
+    notes: "",
+    favourite: false,
+    order: now, // After every account ordered so far
+    createdAt: now,
+    updatedAt: now,
+    ...fields
+  };
+}
+
+/**
+ * Name shown for an account: "Issuer (name)" unless the name already
+ * contains the issuer.
+ *
+ * @param {Object} account - Account record
+ * @returns {string} Display label
+ */
+function accountLabel(account) {
+  if (account.issuer && !account.name.includes(account.issuer)) {
+    return account.issuer + " (" + account.name + ")";
+  }
+  return account.name;
+}
+
+/**
+ * Names of the groups accounts are in, sorted.
+ *
+ * @param {Object[]} accounts - Account records
+ * @returns {string[]}
+ */
+function accountGroups(accounts) {
+  return [...new Set(accounts.map(account => account.group).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Parse a comma-separated list of tags, dropping empty and duplicate ones.
+ *
+ * @param {string} text - e.g. "work, shared"
+ * @returns {string[]}
+ */
+function parseTagList(text) {
+  const tags = String(text || "").split(",").map(tag => tag.trim()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// Orders of the accounts list: the user's own (drag and drop) and automatic ones
+const ACCOUNT_SORT_MODES = {
+  manual: "Manual",
+  name: "Alphabetical",
+  issuer: "By issuer",
+  recent: "Recently used",
+  frequent: "Most used"
+};
+
+/**
+ * Sort accounts for the list. Ties, and the "manual" mode, follow the order
+ * set by dragging (`accountPosition`).
+ *
+ * @param {Object[]} accounts - Account records
+ * @param {string} mode - A key of `ACCOUNT_SORT_MODES`
+ * @param {Object<string, {useCount: number, lastUsedAt: number}>} [usage] -
+ *   Result of `loadAccountUsage`, for the usage modes
+ * @returns {Object[]} A sorted copy
+ */
+function sortAccounts(accounts, mode, usage = {}) {
+  const byLabel = (a, b) => accountLabel(a).localeCompare(accountLabel(b));
+  const used = (account) => usage[account.id] || { useCount: 0, lastUsedAt: 0 };
+  const compare = {
+    name: byLabel,
+    // Accounts without an issuer last
+    issuer: (a, b) => !a.issuer - !b.issuer || (a.issuer || "").localeCompare(b.issuer || "") || byLabel(a, b),
+    recent: (a, b) => used(b).lastUsedAt - used(a).lastUsedAt,
+    frequent: (a, b) => used(b).useCount - used(a).useCount
+  }[mode];
+  return accounts.slice().sort((a, b) => (compare && compare(a, b)) || accountPosition(a) - accountPosition(b));
+}
+
+// Place of an account in the manual order: `order`, else the creation time
+// for records older than it
+function accountPosition(account) {
+  return typeof account.order === "number" ? account.order : account.createdAt;
+}
+
+/**
+ * Change fields of stored records that are not encrypted (such as order and
+ * favourite) without unlocking the vault. Each record is read right before it
+ * is written, so only the changed fields are replaced. `updatedAt` is left
+ * alone unless `change` sets it.
+ *
+ * @param {string[]} ids - Account ids
+ * @param {function(Object, number)} change - Called with each stored record
+ *   and its index in `ids`; modifies the record
+ * @param {function(Error=)} [callback] - Called once written, with an error if that failed
+ */
+function updateAccountMeta(ids, change, callback) {
+  const keys = ids.map(id => ACCOUNT_KEY_PREFIX + id);
+  chrome.storage.sync.get(keys, (items) => {
+    keys.forEach((key, index) => {
+      if (items[key]) change(items[key], index);
+    });
+    chrome.storage.sync.set(items, () => {
+      const error = chrome.runtime.lastError ? new Error(chrome.runtime.lastError.message) : undefined;
+      if (error) {
+        console.error("Storage error:", error.message);
+      }
+      if (callback) callback(error);
+    });
+  });
+}
+
+/**
+ * Count a use (copy or fill) of an account's code. Usage belongs to this
+ * device, so it is kept in `chrome.storage.local` (`usage:<id>`), apart from
+ * the synced record.
+ *
+ * @param {string} id - Account id
+ */
+function recordAccountUse(id) {
+  const key = ACCOUNT_USAGE_PREFIX + id;
+  chrome.storage.local.get(key, (items) => {
+    const usage = items[key] || { useCount: 0, lastUsedAt: 0 };
+    chrome.storage.local.set({ [key]: { useCount: usage.useCount + 1, lastUsedAt: Date.now() } });
+  });
+}
+
+/**
+ * Load how often, and when last, each account was used on this device.
+ *
+ * @param {function(Object<string, {useCount: number, lastUsedAt: number}>)} callback -
+ *   Receives the usage by account id; accounts never used are missing
+ */
+function loadAccountUsage(callback) {
+  chrome.storage.local.get(null, (items) => {
+    const usage = {};
+    Object.keys(items)
+      .filter(key => key.startsWith(ACCOUNT_USAGE_PREFIX))
+      .forEach(key => usage[key.slice(ACCOUNT_USAGE_PREFIX.length)] = items[key]);
+    callback(usage);
+  });
+}
+
+/**
+ * Move an account in the manual order to just before or after another one.
+ * Only the moved record is written, with an `order` between those of its new
+ * neighbours; should there be no room left between them, all accounts are
+ * numbered again.
+ *
+ * @param {Object[]} accounts - All accounts
+ * @param {string} id - Account to move
+ * @param {string} targetId - Account it was dropped on
+ * @param {boolean} after - Place it after the target rather than before
+ * @param {function(Error=)} [callback] - Called once written
+ */
+function moveAccount(accounts, id, targetId, after, callback) {
+  const others = sortAccounts(accounts, "manual").filter(account => account.id !== id);
+  const index = others.findIndex(account => account.id === targetId) + (after ? 1 : 0);
+  const previous = others[index - 1];
+  const next = others[index];
+  const order = !previous ? accountPosition(next) - 1
+    : !next ? accountPosition(previous) + 1
+    : (accountPosition(previous) + accountPosition(next)) / 2;
+
+  if (order > (previous ? accountPosition(previous) : -Infinity) && order < (next ? accountPosition(next) : Infinity)) {
+    updateAccountMeta([id], (account) => account.order = order, callback);
+    return;
+  }
+  const ids = others.map(account => account.id);
+  ids.splice(index, 0, id);
+  updateAccountMeta(ids, (account, position) => account.order = position, callback);
+}
+
+/**
+ * Load every stored account, oldest first, with secrets decrypted.
+ *
+ * @param {function(Object[])} callback - Receives the account records
+ */
+function loadAccounts(callback) {
+  chrome.storage.sync.get(null, (items) => {
+    const accounts = Object.keys(items)
+      .filter(key => key.startsWith(ACCOUNT_KEY_PREFIX))
+      .map(key => items[key])
+      .sort((a, b) => a.createdAt - b.createdAt);
+    revealAccounts(accounts).then(callback);
+  });
+}
+
+/**
+ * Load a single account by id, with its secret decrypted.
+ *
+ * @param {string} id - Account id
+ * @param {function(Object|undefined)} callback - Receives the record, or undefined if missing
+ */
+function getAccount(id, callback) {
+  const key = ACCOUNT_KEY_PREFIX + id;
+  chrome.storage.sync.get(key, (items) => {
+    if (!items[key]) {
+      callback(undefined);
+      return;
+    }
+    revealAccounts([items[key]]).then(([account]) => callback(account));
+  });
+}
+
+/**
+ * Store one or more account records, stamping `updatedAt`. Secrets are
+ * encrypted first when the vault is enabled; nothing is written if it is
+ * locked.
+ *
+ * @param {Object[]} accounts - Records to create or overwrite
+ * @param {function(Error=)} [callback] - Called once the write has completed,
+ *   with an error if it could not be done
+ */
+function saveAccounts(accounts, callback) {
+  const now = Date.now();
+  accounts.forEach(account => account.updatedAt = now);
+
+  sealAccounts(accounts).then(sealed => {
+    const items = {};
+    for (const account of sealed) {
+      items[ACCOUNT_KEY_PREFIX + account.id] = account;
+    }
+    chrome.storage.sync.set(items, () => {
+      const error = chrome.runtime.lastError ? new Error(chrome.runtime.lastError.message) : undefined;
+      if (error) {
+        console.error("Storage error:", error.message);
+      }
+      if (callback) callback(error);
+    });
+  }).catch(err => {
+    console.error("Storage error:", err.message);
+    if (callback) callback(err);
+  });
+}
+
+/**
+ * Store a single account record. See `saveAccounts`.
+ *
+ * @param {Object} account - Record to create or overwrite
+ * @param {function(Error=)} [callback] - Called once the write has completed
+ */
+function saveAccount(account, callback) {
+  saveAccounts([account], callback);
+}
+
+/**
+ * Remove an account record, and its usage on this device.
+ *
+ * @param {string} id - Account id
+ * @param {function()} [callback] - Called once the record is gone
+ */
+function deleteAccount(id, callback) {
+  chrome.storage.local.remove(ACCOUNT_USAGE_PREFIX + id);
+  chrome.storage.sync.remove(ACCOUNT_KEY_PREFIX + id, callback);
+}
+
+/**
+ * Upgrade stored data to the current schema. Safe to call on every load.
+ *
+ * Version 1 (no `schemaVersion` item) kept `keys: { [name]: entry }` where an
+ * entry is a Base32 string or `{ secret, type, counter, algorithm, digits,
+ * period }`. Each entry becomes a record; `keys` is only removed after the
+ * records have been written, so a failed write leaves the old data in place.
+ *
+ * @param {function()} callback - Called once storage is on the current schema
+ */
+function migrateStorage(callback) {
+  chrome.storage.sync.get({ schemaVersion: 1, keys: {} }, (data) => {
+    if (data.schemaVersion >= ACCOUNT_SCHEMA_VERSION) {
+      callback();
+      return;
+    }
+
+    const items = { schemaVersion: ACCOUNT_SCHEMA_VERSION };
+    const now = Date.now();
+    Object.keys(data.keys).forEach((name, index) => {
+      const entry = data.keys[name];
+      const fields = typeof entry === "string" ? { secret: entry } : { ...entry };
+      // Keep the original listing order through createdAt
+      const account = createAccount({ ...fields, name, createdAt: now + index, updatedAt: now });
+      account.algorithm = normalizeAlgorithm(account.algorithm);
+      items[ACCOUNT_KEY_PREFIX + account.id] = account;
+    });
+
+    chrome.storage.sync.set(items, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Migration failed, keeping old data:", chrome.runtime.lastError.message);
+        callback();
+        return;
+      }
+      chrome.storage.sync.remove("keys", callback);
+    });
+  });
+}
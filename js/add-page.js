@@ -6,8 +6,27 @@
   const previewImage = document.getElementById("preview-image");
   const uploadText = document.getElementById("upload-text");
 
+  // Account fields from the last scanned QR, applied on save while the
+  // secret field still holds that QR's secret
+  let qrParams = null;
+
+  // Google Authenticator export batches scanned so far, keyed by batch id, and
+  // the accounts currently listed in the import preview
+  const importPreview = document.getElementById("import-preview");
+  let migrationBatches = {};
+  let previewAccounts = [];
+
+  // Contents of the last backup file chosen, kept while asking for its password
+  const importPasswordRow = document.getElementById("import-password-row");
+  let pendingImportText = null;
+
   fileInput.addEventListener("change", handleQrUpload);
+  document.getElementById("backup-upload").addEventListener("change", handleBackupUpload);
+  document.getElementById("import-decrypt-btn").addEventListener("click", () => {
+    readImportFile(pendingImportText, document.getElementById("import-password").value);
+  });
   document.getElementById("save-btn").addEventListener("click", saveManualKey);
+  document.getElementById("import-btn").addEventListener("click", importSelectedAccounts);
 
   // Close / back: if we're inside the popup, navigate home; if standalone tab, close.
   document.getElementById("close-btn").addEventListener("click", () => {
@@ -95,36 +114,147 @@
       return;
     }
 
-    parseOtpAuthUri(code.data);
+    if (isMigrationUri(code.data)) {
+      applyMigrationUri(code.data);
+    } else {
+      applyOtpAuthUri(code.data);
+    }
   }
 
-  function parseOtpAuthUri(uri) {
-    if (!uri.startsWith("otpauth://totp/")) {
-      document.getElementById("qr-status").textContent = "Invalid TOTP QR.";
+  // Fill the form from a scanned otpauth:// URI, or list what is wrong with it
+  function applyOtpAuthUri(uri) {
+    const { account, errors } = parseOtpAuthUri(uri);
+    if (!account) {
+      qrParams = null;
+      showStatus(["Invalid QR code:", ...errors]);
       return;
     }
 
-    const withoutPrefix = uri.replace("otpauth://totp/", "");
-    const [label, query] = withoutPrefix.split("?");
+    qrParams = account;
+    document.getElementById("key-name").value = account.name;
+    document.getElementById("key-secret").value = account.secret;
 
-    const params = new URLSearchParams(query);
-    const secret = params.get("secret");
-    const issuer = params.get("issuer");
+    showStatus([account.issuer ? "QR data loaded (" + account.issuer + ")." : "QR data loaded."]);
+  }
 
-    let name = decodeURIComponent(label);
-    if (issuer && !name.includes(issuer)) {
-      name = issuer + " (" + name + ")";
+  // Add a Google Authenticator export QR to the import preview
+  function applyMigrationUri(uri) {
+    let payload;
+    try {
+      payload = parseMigrationUri(uri);
+    } catch (err) {
+      showStatus(["Invalid migration QR code:", err.message]);
+      return;
     }
 
-    if (!secret) {
-      document.getElementById("qr-status").textContent = "QR missing secret.";
-      return;
+    // A hidden preview means the page was reset since the last scan
+    if (importPreview.hidden) {
+      migrationBatches = {};
+    }
+
+    const batch = migrationBatches[payload.batchId] || { size: payload.batchSize, parts: {} };
+    batch.parts[payload.batchIndex] = payload.accounts;
+    migrationBatches[payload.batchId] = batch;
+
+    renderMigrationPreview(batch);
+  }
+
+  // List the accounts of a (possibly partial) export batch
+  function renderMigrationPreview(batch) {
+    const indexes = Object.keys(batch.parts).map(Number).sort((a, b) => a - b);
+    const lines = ["Scanned " + indexes.length + " of " + batch.size + " export QR codes."];
+    if (indexes.length < batch.size) {
+      lines.push("Upload the remaining codes to add their accounts to this list.");
     }
+    renderImportPreview(indexes.flatMap(index => batch.parts[index]), lines);
+  }
+
+  // Read an Aegis / andOTP / 2FAS / FreeOTP+ backup file into the import preview
+  function handleBackupUpload(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+      pendingImportText = text;
+      importPasswordRow.hidden = true;
+      readImportFile(text);
+    });
+    e.target.value = ""; // allow choosing the same file again
+  }
+
+  function readImportFile(text, password) {
+    if (!text) return;
+    showStatus(["Reading backup file..."]);
+
+    parseImportFile(text, password).then(({ format, accounts }) => {
+      importPasswordRow.hidden = true;
+      renderImportPreview(accounts, [format + " backup."]);
+    }).catch(err => {
+      if (err.code === "password_required") {
+        importPasswordRow.hidden = false;
+        document.getElementById("import-password").focus();
+      }
+      showStatus([err.message]);
+    });
+  }
+
+  // List accounts to import with checkboxes. Unsupported accounts and ones
+  // already stored (same type and secret) are shown but cannot be selected.
+  function renderImportPreview(accounts, statusLines) {
+    loadAccounts((existing) => {
+      const seen = new Set(existing.map(account => account.type + ":" + normalizeBase32(account.secret || "")));
+      const list = document.getElementById("import-list");
+      list.innerHTML = "";
+      previewAccounts = accounts;
+
+      let selectable = 0;
+      accounts.forEach((account, i) => {
+        const key = account.type + ":" + account.secret;
+        const reason = account.unsupported || (seen.has(key) ? "already in Mint" : "");
+        seen.add(key);
+        if (!reason) selectable++;
+
+        const item = document.createElement("li");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.id = "import-item-" + i;
+        checkbox.dataset.index = i;
+        checkbox.checked = !reason;
+        checkbox.disabled = !!reason;
+
+        const label = document.createElement("label");
+        label.htmlFor = checkbox.id;
+        label.textContent = accountLabel(account) + (reason ? " — " + reason : "");
+
+        item.append(checkbox, label);
+        list.appendChild(item);
+      });
 
-    document.getElementById("key-name").value = name;
-    document.getElementById("key-secret").value = secret;
+      document.getElementById("import-status").textContent = statusLines.join("\n");
+      showStatus([accounts.length + " accounts found, " + selectable + " can be imported."]);
+      importPreview.hidden = false;
+    });
+  }
+
+  // Bulk-save the checked accounts from the import preview
+  function importSelectedAccounts() {
+    const selected = [...document.querySelectorAll("#import-list input:checked")]
+      .map(checkbox => previewAccounts[checkbox.dataset.index]);
+    if (!selected.length) return;
+
+    saveNewAccounts(selected, (err) => {
+      if (err) {
+        showStatus([err.message]);
+        return;
+      }
+      importPreview.hidden = true;
+      location.hash = "#list";
+    });
+  }
 
-    document.getElementById("qr-status").textContent = "QR data loaded.";
+  // Show one message per line in #qr-status
+  function showStatus(lines) {
+    document.getElementById("qr-status").textContent = lines.join("\n");
   }
 
   // Save manually typed key
@@ -134,13 +264,36 @@
 
     if (!name || !secret) return;
 
-    chrome.storage.sync.get({ keys: {} }, (data) => {
-      const keys = data.keys;
-      keys[name] = secret;
-      chrome.storage.sync.set({ keys }, () => {
+    if (!isValidBase32(secret)) {
+      showStatus(["Secret is not valid Base32 (only A–Z and 2–7 are allowed)."]);
+      return;
+    }
+
+    // Carry over the scanned parameters unless the secret was changed by hand
+    const fields = qrParams && qrParams.secret === normalizeBase32(secret) ? { ...qrParams } : {};
+
+    // The site being set up is usually open in the active tab
+    getActiveTabDomain().catch(() => "").then(tabDomain => {
+      saveNewAccounts([{ ...fields, name, secret: normalizeBase32(secret) }], (err) => {
+        if (err) {
+          showStatus([err.message]);
+          return;
+        }
         location.hash = "#list";
-      });
+      }, tabDomain);
+    });
+  }
+
+  // Common save path for manual, QR and bulk imports. Accounts without
+  // domains get them from the issuer, else from `tabDomain` if given.
+  function saveNewAccounts(fieldsList, callback, tabDomain) {
+    const accounts = fieldsList.map(fields => {
+      const { unsupported, ...rest } = fields;
+      let domains = rest.domains && rest.domains.length ? rest.domains : domainsFromIssuer(rest.issuer);
+      if (!domains.length && tabDomain) domains = [tabDomain];
+      return createAccount({ ...rest, domains });
     });
+    saveAccounts(accounts, callback);
   }
 
 })();
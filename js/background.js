@@ -0,0 +1,260 @@
+/**
+ * background.js
+ * -------------
+ * Service worker of the Mint extension.
+ *
+ * Owns the vault session: it unlocks the vault on request from the popup,
+ * and locks it again (dropping the key from `chrome.storage.session`) when
+ * Mint has not been used for the configured number of minutes, or when the
+ * computer locks or goes idle. Timers use `chrome.alarms`, so they survive
+ * the worker being stopped between popup openings.
+ *
+ * It runs the code clock (code-clock.js) that computes codes for all open
+ * views, handles the fill keyboard shortcut, and answers the inline
+ * suggestions of content scripts. Pages only ever
+ * receive codes, and only those of accounts that belong to the page's own
+ * site as reported by Chrome (`sender.origin`), never secrets.
+ */
+
+importScripts("genTotp.js", "vault.js", "accounts.js", "settings.js", "domains.js", "code-clock.js", "fill.js");
+
+const AUTO_LOCK_ALARM = "auto-lock";
+// Shortcut declared under "commands" in manifest.json
+const FILL_COMMAND = "fill-best-match";
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Only extension pages may drive the vault, never content scripts
+  if (!isExtensionPage(sender)) {
+    return handlePageMessage(msg, sender, sendResponse);
+  }
+
+  if (msg.action === "unlock_vault") {
+    unlockVault(msg.password).then(success => sendResponse({ success }));
+    return true; // keep the channel open for the async response
+  }
+
+  if (msg.action === "lock_vault") {
+    lockVault().then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (msg.action === "user_activity") {
+    scheduleAutoLock();
+  }
+});
+
+// Extension pages subscribe to live codes
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== CODE_PORT_NAME || !isExtensionPage(port.sender)) {
+    port.disconnect();
+    return;
+  }
+  addCodeView(port);
+});
+
+// Start the idle timer whenever a key is stored, whoever stored it
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session" && changes[VAULT_SESSION_KEY]) {
+    if (changes[VAULT_SESSION_KEY].newValue) {
+      scheduleAutoLock();
+    } else {
+      chrome.alarms.clear(AUTO_LOCK_ALARM);
+    }
+    invalidateCodes();
+  }
+  // Accounts added, edited, deleted, or a HOTP counter advanced
+  if (area === "sync" && Object.keys(changes).some(key => key.startsWith(ACCOUNT_KEY_PREFIX))) {
+    invalidateCodes();
+  }
+  if (area === "sync" && changes.settings) {
+    applyIdleDetection();
+    scheduleAutoLock();
+  }
+  if (area === "local" && changes.deviceSettings) {
+    // Codes generated with the old clock offset are wrong now
+    const { oldValue = {}, newValue = {} } = changes.deviceSettings;
+    if ((oldValue.timeOffset || 0) !== (newValue.timeOffset || 0)) invalidateCodes();
+  }
+});
+
+// "_execute_action" opens the popup by itself
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === FILL_COMMAND) {
+    fillBestMatch(tab);
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === AUTO_LOCK_ALARM) {
+    lockVault();
+  }
+});
+
+chrome.idle.onStateChanged.addListener((state) => {
+  loadSettings((settings) => {
+    // "idle" is reported after the auto-lock period without any input
+    if (state === "idle" && settings.autoLockMinutes || state === "locked" && settings.lockOnSystemLock) {
+      lockVault();
+    }
+  });
+});
+
+chrome.runtime.onInstalled.addListener((details) => {
+  applyIdleDetection();
+  // The worker reads accounts too (code clock, fill shortcut, inline
+  // suggestions), so an upgraded install must not wait for the popup to
+  // migrate the old `keys` map. The new records refresh the code clock.
+  if (details.reason === "update") migrateStorage(() => {});
+});
+chrome.runtime.onStartup.addListener(applyIdleDetection);
+
+/**
+ * (Re)start the auto-lock countdown from now, if the vault is unlocked and
+ * auto-lock is enabled.
+ */
+function scheduleAutoLock() {
+  Promise.all([getVaultKey(), new Promise(resolve => loadSettings(resolve))]).then(([key, settings]) => {
+    if (!key || !settings.autoLockMinutes) {
+      chrome.alarms.clear(AUTO_LOCK_ALARM);
+      return;
+    }
+    chrome.alarms.create(AUTO_LOCK_ALARM, { delayInMinutes: settings.autoLockMinutes });
+  });
+}
+
+/**
+ * Answer a content script's inline suggestion requests.
+ *
+ * - `get_suggestions` → `{ locked, accounts: [{ id, label, code, autoSubmit }] }`
+ * - `get_code` `{ id }` → `{ code, autoSubmit }` or `{ error }`
+ * - `disable_inline_site` turns suggestions off for the sender's site
+ *
+ * @param {Object} msg - Message with an `action`
+ * @param {chrome.runtime.MessageSender} sender - Content script frame
+ * @param {function(Object)} sendResponse
+ * @returns {boolean|undefined} True while a response is pending
+ */
+function handlePageMessage(msg, sender, sendResponse) {
+  // sender.origin is set by Chrome and covers about:blank frames
+  const origin = sender.origin || (sender.url ? new URL(sender.url).origin : "");
+  const host = domainFromUrl(origin);
+
+  if (msg.action === "get_suggestions") {
+    getInlineSuggestions(origin).then(sendResponse);
+    return true;
+  }
+
+  if (msg.action === "get_code") {
+    getInlineSuggestions(origin).then(result => {
+      const account = result.accounts.find(entry => entry.id === msg.id);
+      if (account && account.code) {
+        recordAccountUse(account.id);
+        sendResponse({ code: account.code, autoSubmit: account.autoSubmit });
+      } else {
+        sendResponse({ error: result.locked ? "Mint is locked." : "No code for this site." });
+      }
+    });
+    return true;
+  }
+
+  if (msg.action === "disable_inline_site" && host) {
+    loadSettings((settings) => {
+      const sites = settings.inlineDisabledSites.filter(site => site !== host).concat(host);
+      saveSettings({ inlineDisabledSites: sites }, () => sendResponse({ success: true }));
+    });
+    return true;
+  }
+}
+
+/**
+ * Fill the code of the account that best matches the active tab's site. There
+ * is no popup to report to, so the toolbar badge briefly shows the outcome.
+ *
+ * @param {chrome.tabs.Tab} [tab] - Tab the shortcut was pressed in
+ */
+function fillBestMatch(tab) {
+  const activeTab = tab ? Promise.resolve(tab)
+    : chrome.tabs.query({ active: true, currentWindow: true }).then(tabs => tabs[0]);
+
+  activeTab.then(target => {
+    if (!target || !target.id) throw new Error("No active tab.");
+    const host = domainFromUrl(target.url);
+    return Promise.all([new Promise(resolve => loadAccounts(resolve)), getCurrentCodes()]).then(([accounts, codes]) => {
+      const account = findBestAccount(accounts, host);
+      if (!account) throw new Error("No account for " + (host || "this page") + ".");
+      const entry = codes.get(account.id);
+      if (!entry || !entry.code) throw new Error("No code for " + accountLabel(account) + "; Mint may be locked.");
+
+      // Nobody can confirm a fill on another site here, so such frames are refused
+      const message = { action: "fill_otp", code: entry.code, autoSubmit: Boolean(account.autoSubmit) };
+      return fillInTab(target.id, message, origin =>
+        accountMatchesOrigin(account, origin) ? null : "Not filled into " + (domainFromUrl(origin) ? origin : "a page without a web address") + ".")
+        .then(response => {
+          if (response.success) recordAccountUse(account.id);
+          return response;
+        });
+    });
+  }).then(response => {
+    if (!response.success) console.warn("Fill shortcut:", response.error);
+    showCommandBadge(response.success);
+  }).catch(err => {
+    console.warn("Fill shortcut:", err.message);
+    showCommandBadge(false);
+  });
+}
+
+// Show "OK" or "!" on the toolbar button for two seconds
+function showCommandBadge(success) {
+  chrome.action.setBadgeBackgroundColor({ color: success ? "#2e7d32" : "#c62828" });
+  chrome.action.setBadgeText({ text: success ? "OK" : "!" });
+  setTimeout(() => chrome.action.setBadgeText({ text: "" }), 2000);
+}
+
+/**
+ * Accounts offered inline on a site, with their current codes (null while
+ * the vault is locked). Only pages served over HTTPS from one of an
+ * account's domains are offered its code.
+ *
+ * @param {string} origin - Origin of the requesting page
+ * @returns {Promise<{locked: boolean, accounts: Object[]}>} No accounts if
+ *   suggestions are turned off globally or for this site
+ */
+function getInlineSuggestions(origin) {
+  const host = domainFromUrl(origin);
+  return new Promise(resolve => loadSettings(resolve)).then(settings => {
+    if (!host || !settings.inlineSuggestions || settings.inlineDisabledSites.includes(host)) {
+      return { locked: false, accounts: [] };
+    }
+    return Promise.all([isVaultLocked(), new Promise(resolve => loadAccounts(resolve)), getCurrentCodes()]).then(([locked, accounts, codes]) => ({
+      locked,
+      accounts: accounts.filter(account => accountMatchesOrigin(account, origin)).map(account => ({
+        id: account.id,
+        label: accountLabel(account),
+        code: codes.has(account.id) ? codes.get(account.id).code : null,
+        autoSubmit: Boolean(account.autoSubmit)
+      }))
+    }));
+  });
+}
+
+/**
+ * Whether a message comes from one of Mint's own pages (popup, add or
+ * settings tab) rather than a content script.
+ *
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {boolean}
+ */
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && !!sender.url && sender.url.startsWith(chrome.runtime.getURL(""));
+}
+
+/**
+ * Report the system as idle after the auto-lock period without any input,
+ * so `idle.onStateChanged` can lock the vault.
+ */
+function applyIdleDetection() {
+  loadSettings((settings) => {
+    // chrome.idle accepts 15 seconds at minimum
+    chrome.idle.setDetectionInterval(Math.max(15, (settings.autoLockMinutes || 15) * 60));
+  });
+}
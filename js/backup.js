@@ -0,0 +1,175 @@
+/**
+ * backup.js
+ * ---------
+ * Password-encrypted backup files of all account records.
+ *
+ * File format (JSON, version 1):
+ *
+ *   {
+ *     "format": "mint-backup",
+ *     "version": 1,
+ *     "createdAt": "2024-01-01T00:00:00.000Z",
+ *     "kdf": { "name": "PBKDF2-SHA256", "iterations": 600000, "salt": "<base64>" },
+ *     "cipher": "AES-GCM",
+ *     "iv": "<base64>",
+ *     "data": "<base64 ciphertext of the JSON array of account records>"
+ *   }
+ *
+ * The backup password is independent of the vault's master password.
+ */
+
+const BACKUP_FORMAT = "mint-backup";
+const BACKUP_VERSION = 1;
+// PBKDF2 iteration counts accepted from a backup file: enough to be a real
+// key derivation, few enough that the popup does not hang
+const BACKUP_MIN_KDF_ITERATIONS = 100000;
+const BACKUP_MAX_KDF_ITERATIONS = 10000000;
+
+// Fields that make two records the "same" account for restore purposes
+const BACKUP_COMPARED_FIELDS = ["type", "name", "issuer", "secret", "algorithm", "digits", "period", "counter", "group", "tags", "domains", "strict", "autoSubmit", "notes", "favourite"];
+
+/**
+ * Serialise and encrypt account records into backup file contents.
+ *
+ * @param {Object[]} accounts - Records with plaintext `secret`
+ * @param {string} password - Backup password
+ * @returns {Promise<string>} JSON text of the backup file
+ * @throws {Error} (rejects) Naming the accounts whose secret could not be
+ *   decrypted, since a backup without them could never be restored
+ */
+function createBackup(accounts, password) {
+  const unreadable = accounts.filter(account => account.revealError || typeof account.secret !== "string");
+  if (unreadable.length) {
+    return Promise.reject(new Error("These secrets could not be decrypted: " + unreadable.map(accountLabel).join(", ") + "."));
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const records = accounts.map(account => {
+    const { encSecret, revealError, ...record } = account;
+    return record;
+  });
+
+  return deriveVaultKey(password, salt, VAULT_KDF_ITERATIONS)
+    .then(key => encryptText(key, JSON.stringify(records)))
+    .then(encrypted => JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      kdf: { name: "PBKDF2-SHA256", iterations: VAULT_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+      cipher: "AES-GCM",
+      iv: encrypted.iv,
+      data: encrypted.data
+    }, null, 2));
+}
+
+/**
+ * Decrypt and validate backup file contents.
+ *
+ * @param {string} text - Contents of the backup file
+ * @param {string} password - Backup password
+ * @returns {Promise<Object[]>} The account records in the backup, completed
+ *   with the defaults of `createAccount`
+ * @throws {Error} (rejects) With a user-facing message if the file is not a
+ *   Mint backup, has an unknown version or key derivation, the password is
+ *   wrong, or a record is malformed
+ */
+function readBackup(text, password) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (err) {
+    return Promise.reject(new Error("The file is not valid JSON."));
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    return Promise.reject(new Error("The file is not a Mint backup."));
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    return Promise.reject(new Error("Unsupported backup version: " + backup.version + "."));
+  }
+  if (!backup.kdf || backup.kdf.name !== "PBKDF2-SHA256" || !backup.kdf.salt || !backup.iv || !backup.data) {
+    return Promise.reject(new Error("The backup file is incomplete."));
+  }
+  const iterations = backup.kdf.iterations;
+  if (!Number.isInteger(iterations) || iterations < BACKUP_MIN_KDF_ITERATIONS || iterations > BACKUP_MAX_KDF_ITERATIONS) {
+    return Promise.reject(new Error("The backup file uses an unsupported key derivation."));
+  }
+
+  return Promise.resolve()
+    .then(() => deriveVaultKey(password, base64ToBytes(backup.kdf.salt), iterations))
+    .then(key => decryptText(key, { iv: backup.iv, data: backup.data }))
+    .catch(() => {
+      throw new Error("Wrong password, or the backup file is damaged.");
+    })
+    .then(json => {
+      let records;
+      try {
+        records = JSON.parse(json);
+      } catch (err) {
+        throw new Error("The backup file is damaged.");
+      }
+      if (!Array.isArray(records)) {
+        throw new Error("The backup contains no account list.");
+      }
+      records.forEach((record, i) => {
+        const problem = validateAccountRecord(record);
+        if (problem) {
+          throw new Error("Account " + (i + 1) + " in the backup is invalid: " + problem);
+        }
+      });
+      // Only the plaintext secret is trusted; the vault encrypts it again
+      return records.map(({ encSecret, revealError, ...record }) => createAccount(record));
+    });
+}
+
+/**
+ * Check a record from an untrusted source before it is stored.
+ *
+ * @param {Object} record - Candidate account record
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+function validateAccountRecord(record) {
+  if (!record || typeof record !== "object") return "not an object";
+  if (typeof record.id !== "string" || !record.id) return "missing id";
+  if (typeof record.name !== "string" || !record.name) return "missing name";
+  if (typeof record.secret !== "string" || !isValidBase32(record.secret)) return "secret is not valid Base32";
+  if (record.type !== "totp" && record.type !== "hotp") return "unknown type " + record.type;
+  if (!OTP_ALGORITHMS[normalizeAlgorithm(record.algorithm)]) return "unsupported algorithm " + record.algorithm;
+  if (!(record.digits >= 6 && record.digits <= 10)) return "digits out of range";
+  if (record.type === "totp" && !(record.period > 0)) return "invalid period";
+  if (record.type === "hotp" && !(record.counter >= 0)) return "invalid counter";
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === "string");
+  if ("group" in record && typeof record.group !== "string") return "group is not text";
+  if ("tags" in record && !isStringList(record.tags)) return "tags are not a list of text";
+  if ("domains" in record && !isStringList(record.domains)) return "domains are not a list of text";
+  if ("notes" in record && typeof record.notes !== "string") return "notes are not text";
+  return null;
+}
+
+/**
+ * Compare records from a backup with the stored ones.
+ *
+ * Records are matched by id, falling back to the secret so that an account
+ * re-added on another device is still recognised.
+ *
+ * @param {Object[]} current - Stored records
+ * @param {Object[]} incoming - Records from the backup
+ * @returns {{added: Object[], changed: Array<{current: Object, incoming: Object}>, identical: Object[]}}
+ */
+function diffAccounts(current, incoming) {
+  const byId = new Map(current.map(account => [account.id, account]));
+  const bySecret = new Map(current.map(account => [normalizeBase32(account.secret || ""), account]));
+  const result = { added: [], changed: [], identical: [] };
+
+  for (const record of incoming) {
+    const match = byId.get(record.id) || bySecret.get(normalizeBase32(record.secret));
+    if (!match) {
+      result.added.push(record);
+    } else if (BACKUP_COMPARED_FIELDS.every(field => JSON.stringify(match[field]) === JSON.stringify(record[field]))) {
+      result.identical.push(record);
+    } else {
+      result.changed.push({ current: match, incoming: record });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,101 @@
+/**
+ * bulk-actions.js
+ * ---------------
+ * Actions on several accounts at once, for the list page's selection mode:
+ * move them to a group, add a tag, or export them to an encrypted backup.
+ */
+
+/**
+ * Build the bar shown while selecting accounts on the list page.
+ *
+ * @param {{account: Object, element: HTMLElement}[]} entries - Rendered list
+ *   entries, each with a `.select-box` checkbox
+ * @param {string[]} groups - Existing group names, offered when moving
+ * @returns {HTMLElement} The bar, hidden until selection mode starts
+ */
+function createBulkBar(entries, groups) {
+  const bar = document.createElement("div");
+  bar.id = "bulk-bar";
+  bar.className = "settings-section";
+  bar.hidden = true;
+  bar.innerHTML =
+    "<p id='bulk-count'>0 selected</p>" +
+    "<button id='bulk-all-btn'>Select all shown</button>" +
+    "<input type='text' id='bulk-group' list='bulk-group-names' placeholder='Group (empty for none)'>" +
+    "<datalist id='bulk-group-names'></datalist>" +
+    "<button id='bulk-move-btn'>Move</button>" +
+    "<input type='text' id='bulk-tag' placeholder='Tag'>" +
+    "<button id='bulk-tag-btn'>Add tag</button>" +
+    "<input type='password' id='bulk-password' placeholder='Backup password'>" +
+    "<input type='password' id='bulk-password-confirm' placeholder='Repeat backup password'>" +
+    "<button id='bulk-export-btn'>Export</button>" +
+    "<p id='bulk-status'></p>";
+
+  // Not in the page yet, so look up within the bar
+  const find = (selector) => bar.querySelector(selector);
+  const status = find("#bulk-status");
+  const boxOf = (entry) => entry.element.querySelector(".select-box");
+  const selected = () => entries.filter(entry => boxOf(entry).checked).map(entry => entry.account);
+  const updateCount = () => find("#bulk-count").textContent = selected().length + " selected";
+
+  groups.forEach(group => find("#bulk-group-names").appendChild(new Option(group)));
+  entries.forEach(entry => boxOf(entry).addEventListener("change", updateCount));
+
+  find("#bulk-all-btn").onclick = () => {
+    entries.filter(entry => !entry.element.hidden).forEach(entry => boxOf(entry).checked = true);
+    updateCount();
+  };
+
+  // Change the selected records as stored now (not as loaded with the list,
+  // which may be out of date), save them and show the new list
+  const updateSelected = (change) => {
+    const ids = selected().map(account => account.id);
+    if (!ids.length) {
+      status.textContent = "Select some accounts first.";
+      return;
+    }
+    loadAccounts((stored) => {
+      const accounts = stored.filter(account => ids.includes(account.id));
+      accounts.forEach(change);
+      saveAccounts(accounts, (err) => {
+        if (err) {
+          status.textContent = "Could not save: " + err.message;
+        } else {
+          loadListPage();
+        }
+      });
+    });
+  };
+
+  find("#bulk-move-btn").onclick = () => {
+    const group = find("#bulk-group").value.trim();
+    updateSelected(account => account.group = group);
+  };
+
+  find("#bulk-tag-btn").onclick = () => {
+    const tag = find("#bulk-tag").value.trim();
+    if (!tag) {
+      status.textContent = "Enter a tag.";
+      return;
+    }
+    updateSelected(account => account.tags = parseTagList([...(account.tags || []), tag].join(",")));
+  };
+
+  find("#bulk-export-btn").onclick = () => {
+    const accounts = selected();
+    const password = find("#bulk-password").value;
+    const problem = !accounts.length ? "Select some accounts first."
+      : checkBackupPassword(password, find("#bulk-password-confirm").value);
+    if (problem) {
+      status.textContent = problem;
+      return;
+    }
+
+    status.textContent = "Encrypting backup...";
+    downloadBackup(accounts, password)
+      .then(() => status.textContent = "Exported " + accounts.length + " accounts.")
+      .catch(err => status.textContent = "Export failed: " + err.message);
+  };
+
+  return bar;
+}
@@ -0,0 +1,139 @@
+/**
+ * code-clock.js
+ * -------------
+ * The single code clock, run by the service worker. It keeps the current code
+ * of every account in a cache, recomputes each TOTP code exactly at its
+ * period boundary, and pushes changed codes to every open view (popup, add
+ * tab, side panel) over a port named `CODE_PORT_NAME`. Those pages load this
+ * file too, for the port name; the clock itself only runs in the worker.
+ *
+ * Port messages (worker → view):
+ *
+ *   { codes: { [accountId]: { code, next, period, expiresAt } } }
+ *
+ * The first message after connecting holds all accounts, later ones only the
+ * entries that changed. `next` is the TOTP code of the following period.
+ * `code` and `next` are null while the vault is locked (or the code cannot be
+ * generated); HOTP entries have only `code`.
+ *
+ * All codes are generated with the device's `timeOffset` setting applied; `expiresAt`
+ * stays in local time, so views can compare it with `Date.now()`.
+ *
+ * Views may send `{ refresh: true }` when a countdown reaches zero; expired
+ * codes are then recomputed right away rather than on the next timer tick.
+ */
+
+const CODE_PORT_NAME = "codes";
+
+const codeCache = new Map(); // account id -> entry
+const codeViews = new Set(); // connected ports
+let codeTimer = null;
+// Refreshes run one after another, so the timer and storage changes never race
+let codeRefresh = Promise.resolve();
+
+/**
+ * Start pushing codes to a view.
+ *
+ * @param {chrome.runtime.Port} port - Port connected by an extension page
+ */
+function addCodeView(port) {
+  let connected = true;
+  port.onMessage.addListener((msg) => {
+    if (msg.refresh) refreshCodes();
+  });
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    codeViews.delete(port);
+    if (!codeViews.size) clearTimeout(codeTimer);
+  });
+  // Only later changes are pushed, so start with the full set
+  getCurrentCodes().then(codes => {
+    if (!connected) return;
+    port.postMessage({ codes: Object.fromEntries(codes) });
+    codeViews.add(port);
+    scheduleCodeRefresh();
+  });
+}
+
+/**
+ * The cached codes, after recomputing any that have expired.
+ *
+ * @returns {Promise<Map<string, Object>>} Entries by account id
+ */
+function getCurrentCodes() {
+  return refreshCodes().then(() => codeCache);
+}
+
+/**
+ * Drop all cached codes, e.g. after accounts changed or the vault was locked,
+ * and send the new set to every view.
+ */
+function invalidateCodes() {
+  codeCache.clear();
+  refreshCodes();
+}
+
+// Recompute missing and expired entries, push the changes and arm the timer
+function refreshCodes() {
+  codeRefresh = codeRefresh.then(() => Promise.all([
+    new Promise(resolve => loadAccounts(resolve)),
+    new Promise(resolve => loadDeviceSettings(resolve))
+  ])).then(([accounts, device]) => {
+    const now = Date.now();
+    const stale = accounts.filter(account => {
+      const entry = codeCache.get(account.id);
+      return !entry || entry.expiresAt && entry.expiresAt <= now;
+    });
+
+    return Promise.all(stale.map(account => computeCodeEntry(account, now, device.timeOffset))).then(entries => {
+      const changed = {};
+      stale.forEach((account, i) => {
+        codeCache.set(account.id, entries[i]);
+        changed[account.id] = entries[i];
+      });
+      // Deleted accounts
+      const ids = new Set(accounts.map(account => account.id));
+      [...codeCache.keys()].filter(id => !ids.has(id)).forEach(id => codeCache.delete(id));
+
+      if (Object.keys(changed).length) {
+        codeViews.forEach(port => port.postMessage({ codes: changed }));
+      }
+      scheduleCodeRefresh();
+    });
+  }).catch(err => console.error("Code clock error:", err));
+  return codeRefresh;
+}
+
+// Wake up at the next period boundary of any account, while views are open
+function scheduleCodeRefresh() {
+  clearTimeout(codeTimer);
+  const expiries = [...codeCache.values()].map(entry => entry.expiresAt).filter(Boolean);
+  if (!codeViews.size || !expiries.length) return;
+  codeTimer = setTimeout(refreshCodes, Math.max(0, Math.min(...expiries) - Date.now()));
+}
+
+/**
+ * Compute the cache entry of one account at a point in time.
+ *
+ * @param {Object} account - Account record (secret undefined while locked)
+ * @param {number} now - Time in milliseconds
+ * @param {number} timeOffset - Clock correction in seconds (`timeOffset` device setting)
+ * @returns {Promise<{code: string|null, next?: string|null, period?: number, expiresAt?: number}>}
+ */
+function computeCodeEntry(account, now, timeOffset) {
+  const generate = (params) => account.secret
+    ? generateCode(account.secret, params).catch(() => null)
+    : Promise.resolve(null);
+
+  if (account.type === "hotp") {
+    return generate(account).then(code => ({ code }));
+  }
+
+  // Both codes and expiresAt are for the same fixed time, so they always agree
+  const period = Number(account.period) || OTP_DEFAULTS.period;
+  const { expiresAt } = getTotpStep({ period, time: now, timeOffset });
+  return Promise.all([
+    generate({ ...account, time: now, timeOffset }),
+    generate({ ...account, time: now, timeOffset, stepOffset: 1 })
+  ]).then(([code, next]) => ({ code, next, period, expiresAt }));
+}
@@ -1,29 +1,204 @@
+// Runs in every frame of a page. The popup (or service worker) first sends
+// `probe_otp` to all frames, each of which reports its best candidate with an
+// `otp_probe_result` message, and then `fill_otp` only to the best frame.
+
+// How long auto-submit waits for the page to accept a filled code
+const AUTO_SUBMIT_TIMEOUT = 3000;
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.action === "probe_otp") {
+        const target = findFillTarget(msg.length);
+        // A message of its own, so the prober learns this frame's id. The
+        // number of child frames tells it how many more reports to wait for.
+        chrome.runtime.sendMessage({
+            action: "otp_probe_result",
+            probeId: msg.probeId,
+            score: target ? target.score : 0,
+            origin: self.origin, // The embedding page's for about:blank frames
+            childFrames: window.frames.length
+        }, () => void chrome.runtime.lastError);
+        sendResponse({ received: true });
+        return;
+    }
+
     if (msg.action === "fill_otp") {
-        const otp = msg.code;
-
-        // Try common OTP input names
-        const selectors = [
-            "input[name='otp']",
-            "input[name='totp']",
-            "input[name='code']",
-            "input[name='verification_code']",
-            "input[type='number']",
-            "input[type='text']"
-        ];
-
-        let filled = false;
-
-        for (const sel of selectors) {
-            const el = document.querySelector(sel);
-            if (el) {
-                el.value = otp;
-                el.dispatchEvent(new Event("input", { bubbles: true }));
-                filled = true;
-                break;
-            }
+        // The origin this frame reported when probed; it may have
+        // navigated since
+        if (msg.origin !== self.origin) {
+            sendResponse({ success: false, error: "The page changed before the code could be filled." });
+            return;
         }
-
-        sendResponse({ success: filled });
+        const target = findFillTarget(msg.code.length);
+        if (!target) {
+            sendResponse({ success: false, error: "No one-time code field found on this page." });
+            return;
+        }
+        fillTarget(target, msg.code, msg.autoSubmit).then(sendResponse);
+        return true; // Respond asynchronously
     }
 });
+
+/**
+ * Pick what to fill in this frame: the best single OTP field or the best run
+ * of one-digit boxes, whichever scores higher (see field-detect.js).
+ *
+ * @param {number} codeLength - Length of the code about to be filled
+ * @returns {{elements: HTMLInputElement[], score: number, reasons: string[]}|null}
+ */
+function findFillTarget(codeLength) {
+    const inputs = queryAllDeep("input");
+    const match = findOtpField(codeLength, inputs);
+    const group = findOtpInputGroup(codeLength, inputs);
+
+    if (group && (!match || group.score >= match.score)) {
+        return group;
+    }
+    return match && { elements: [match.element], score: match.score, reasons: match.reasons };
+}
+
+/**
+ * Enter a code into a target found by `findFillTarget`, and submit the form
+ * afterwards if asked to.
+ *
+ * @param {{elements: HTMLInputElement[], score: number, reasons: string[]}} target
+ * @param {string} code - Code to enter
+ * @param {boolean} [autoSubmit] - Submit once the page accepts the code
+ * @returns {Promise<Object>} `{ success: true, field }`, plus `submitted`
+ *   when auto-submit was requested
+ */
+function fillTarget(target, code, autoSubmit) {
+    let field = describeField(target.elements[0], target.score, target.reasons);
+    if (target.elements.length > 1) {
+        fillInputGroup(target.elements, code);
+        field = { ...field, boxes: target.elements.length };
+    } else {
+        typeText(target.elements[0], code);
+    }
+
+    if (!autoSubmit) {
+        return Promise.resolve({ success: true, field });
+    }
+    return submitWhenAccepted(target.elements, code).then(submitted => ({ success: true, field, submitted }));
+}
+
+/**
+ * Type a code into a single input one key at a time, then commit it with a
+ * `change` event.
+ *
+ * @param {HTMLInputElement} el - Target input
+ * @param {string} code - Code to enter
+ */
+function typeText(el, code) {
+    for (let i = 0; i < code.length; i++) {
+        typeCharacter(el, code[i], code.slice(0, i + 1));
+    }
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+/**
+ * Type a code into a group of one-character inputs, one key per box, the way
+ * a user would. If the boxes do not end up holding the code (the page
+ * rejects synthetic key input), hand the whole code to the first box as a
+ * paste, which most split-input widgets handle by distributing it themselves.
+ *
+ * @param {HTMLInputElement[]} boxes - Inputs in visual order
+ * @param {string} code - Code to enter
+ */
+function fillInputGroup(boxes, code) {
+    boxes.forEach((box, i) => {
+        typeCharacter(box, code[i]);
+        box.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+
+    if (boxes.map(box => box.value).join("") !== code) {
+        simulatePaste(boxes[0], code);
+    }
+}
+
+/**
+ * Enter one character with the keydown / input / keyup sequence, so widgets
+ * that move focus on key events keep working.
+ *
+ * @param {HTMLInputElement} el - Target input
+ * @param {string} ch - Character to enter
+ * @param {string} [value] - Value the input holds afterwards (defaults to `ch`)
+ */
+function typeCharacter(el, ch, value = ch) {
+    const keyInit = { key: ch, code: "Digit" + ch, bubbles: true, cancelable: true };
+    el.focus();
+    el.dispatchEvent(new KeyboardEvent("keydown", keyInit));
+    el.dispatchEvent(new KeyboardEvent("keypress", keyInit));
+    setNativeValue(el, value);
+    el.dispatchEvent(new InputEvent("input", { data: ch, inputType: "insertText", bubbles: true }));
+    el.dispatchEvent(new KeyboardEvent("keyup", keyInit));
+}
+
+/**
+ * Set an input's value through the native `HTMLInputElement` setter.
+ *
+ * React and similar frameworks replace `value` on the element itself to track
+ * changes; assigning through it updates their record too, so the following
+ * `input` event looks like a no-op and the site's state never changes. The
+ * prototype setter bypasses that tracking.
+ *
+ * @param {HTMLInputElement} el - Target input
+ * @param {string} value - New value
+ */
+function setNativeValue(el, value) {
+    const { set } = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value");
+    set.call(el, value);
+}
+
+/**
+ * Dispatch a paste event carrying `text`. Page handlers read it from
+ * `clipboardData`; the browser itself inserts nothing for synthetic pastes.
+ *
+ * @param {HTMLInputElement} el - Target input
+ * @param {string} text - Pasted text
+ */
+function simulatePaste(el, text) {
+    const data = new DataTransfer();
+    data.setData("text/plain", text);
+    el.focus();
+    el.dispatchEvent(new ClipboardEvent("paste", { clipboardData: data, bubbles: true, cancelable: true }));
+}
+
+/**
+ * Submit the form around filled inputs once the page has accepted the code:
+ * the inputs still hold it and the submit control is enabled. Forms without
+ * a submit control are submitted directly.
+ *
+ * @param {HTMLInputElement[]} fields - Inputs the code was entered into
+ * @param {string} code - The filled code
+ * @returns {Promise<boolean>} Whether a submit was triggered before
+ *   `AUTO_SUBMIT_TIMEOUT` ran out
+ */
+function submitWhenAccepted(fields, code) {
+    const deadline = Date.now() + AUTO_SUBMIT_TIMEOUT;
+    return new Promise(resolve => {
+        const attempt = () => {
+            // Sites may format the code, e.g. "123 456"
+            const held = fields.map(field => field.value).join("").replace(/[\s-]/g, "") === code;
+            const control = findSubmitControl(fields[0]);
+            const form = fields[0].form;
+
+            if (held && control && !isDisabledControl(control)) {
+                control.click();
+                resolve(true);
+            } else if (held && !control && form) {
+                form.requestSubmit();
+                resolve(true);
+            } else if (Date.now() >= deadline) {
+                resolve(false);
+            } else {
+                setTimeout(attempt, 100);
+            }
+        };
+        // Give the page a moment to react to the input events first
+        setTimeout(attempt, 100);
+    });
+}
+
+function isDisabledControl(el) {
+    return el.disabled || el.getAttribute("aria-disabled") === "true";
+}
@@ -0,0 +1,154 @@
+/**
+ * domains.js
+ * ----------
+ * Websites an account belongs to. Each record keeps a `domains` list of bare
+ * host names ("github.com"); a page matches an account when its host is one
+ * of them or a subdomain of one. Codes are only filled without asking into
+ * pages served over HTTPS from such a host (`accountMatchesOrigin`).
+ */
+
+// Issuers whose sites are not simply "<issuer>.com"
+const KNOWN_ISSUER_DOMAINS = {
+  amazon: ["amazon.com"],
+  "amazon web services": ["aws.amazon.com"],
+  apple: ["apple.com", "icloud.com"],
+  aws: ["aws.amazon.com"],
+  bitwarden: ["bitwarden.com"],
+  cloudflare: ["cloudflare.com"],
+  digitalocean: ["digitalocean.com"],
+  discord: ["discord.com"],
+  dropbox: ["dropbox.com"],
+  facebook: ["facebook.com"],
+  github: ["github.com"],
+  gitlab: ["gitlab.com"],
+  google: ["google.com"],
+  instagram: ["instagram.com"],
+  linkedin: ["linkedin.com"],
+  microsoft: ["microsoft.com", "live.com"],
+  npm: ["npmjs.com"],
+  paypal: ["paypal.com"],
+  proton: ["proton.me"],
+  reddit: ["reddit.com"],
+  slack: ["slack.com"],
+  twitter: ["x.com", "twitter.com"],
+  x: ["x.com", "twitter.com"]
+};
+
+/**
+ * Reduce a URL or host name as typed by a user to a bare host name.
+ *
+ * @param {string} input - e.g. "https://www.Example.com/login" or "example.com"
+ * @returns {string} e.g. "example.com", or "" if it is not a host name
+ */
+function normalizeDomain(input) {
+  const text = String(input || "").trim().toLowerCase();
+  if (!text) return "";
+
+  let host;
+  try {
+    host = new URL(text.includes("://") ? text : "https://" + text).hostname;
+  } catch (err) {
+    return "";
+  }
+  host = host.replace(/^www\./, "").replace(/\.$/, "");
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : "";
+}
+
+/**
+ * Parse a comma- or space-separated list of domains, dropping invalid and
+ * duplicate entries.
+ *
+ * @param {string} text - e.g. "github.com, gist.github.com"
+ * @returns {string[]}
+ */
+function parseDomainList(text) {
+  const domains = String(text || "").split(/[\s,]+/).map(normalizeDomain).filter(Boolean);
+  return [...new Set(domains)];
+}
+
+/**
+ * Host name of a web page URL.
+ *
+ * @param {string} url - Page URL
+ * @returns {string} Host name without "www.", or "" for non-web pages
+ *   (chrome://, extension pages, files)
+ */
+function domainFromUrl(url) {
+  return /^https?:/i.test(url || "") ? normalizeDomain(url) : "";
+}
+
+/**
+ * Guess the domains of a new account from its issuer: an issuer that is a
+ * domain itself ("example.com"), or a well-known service name.
+ *
+ * @param {string} issuer - Issuer of the account
+ * @returns {string[]} Possibly empty
+ */
+function domainsFromIssuer(issuer) {
+  const name = String(issuer || "").trim().toLowerCase();
+  if (KNOWN_ISSUER_DOMAINS[name]) return KNOWN_ISSUER_DOMAINS[name].slice();
+  const domain = name.includes(".") ? normalizeDomain(name) : "";
+  return domain ? [domain] : [];
+}
+
+/**
+ * Whether a page host belongs to an account.
+ *
+ * @param {Object} account - Account record
+ * @param {string} host - Page host name, as returned by `domainFromUrl`
+ * @returns {boolean}
+ */
+function accountMatchesHost(account, host) {
+  return (account.domains || []).some(domain => domainMatchesHost(domain, host));
+}
+
+// Whether a host is the domain itself or one of its subdomains
+function domainMatchesHost(domain, host) {
+  return Boolean(host) && (host === domain || host.endsWith("." + domain));
+}
+
+/**
+ * The account that belongs most specifically to a page host: the one with
+ * the longest matching domain, so "gist.github.com" wins over "github.com".
+ * Of equally good matches the first is taken.
+ *
+ * @param {Object[]} accounts - Account records
+ * @param {string} host - Page host name
+ * @returns {Object|null} null if no account matches
+ */
+function findBestAccount(accounts, host) {
+  let best = null;
+  let bestLength = 0;
+  for (const account of accounts) {
+    for (const domain of account.domains || []) {
+      if (domainMatchesHost(domain, host) && domain.length > bestLength) {
+        best = account;
+        bestLength = domain.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether a code for an account may go to a page without asking: the page
+ * is served over HTTPS from one of its domains. Never true for accounts
+ * without domains.
+ *
+ * @param {Object} account - Account record
+ * @param {string} origin - Page origin, e.g. "https://github.com"
+ * @returns {boolean}
+ */
+function accountMatchesOrigin(account, origin) {
+  return /^https:\/\//i.test(origin || "") && accountMatchesHost(account, domainFromUrl(origin));
+}
+
+/**
+ * Host name of the page in the active tab of the current window.
+ *
+ * @returns {Promise<string>} "" if it is not a web page
+ */
+function getActiveTabDomain() {
+  return chrome.tabs.query({ active: true, currentWindow: true })
+    .then(tabs => domainFromUrl(tabs.length ? tabs[0].url : ""));
+}
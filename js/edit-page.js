@@ -0,0 +1,186 @@
+/**
+ * edit-page.js
+ * ------------
+ * Loader for the popup's `#edit/<id>` route: change an account's name,
+ * issuer, secret, generator parameters, group, tags and notes without
+ * re-adding it. The code the changed account would produce is previewed
+ * before saving.
+ */
+
+// Recomputes the preview when its TOTP period ends
+let editPreviewTimer = null;
+
+/**
+ * Render the edit page for an account.
+ *
+ * @param {string} id - Id of the account to edit
+ */
+function loadEditPage(id) {
+  const container = document.getElementById("page-edit");
+  container.innerHTML =
+    "<div class='account-item'>" +
+    "<h3>Edit account</h3>" +
+    "<label class='view-option'>Name <input type='text' id='edit-name'></label>" +
+    "<label class='view-option'>Issuer <input type='text' id='edit-issuer'></label>" +
+    "<label class='view-option'>Secret <input type='text' id='edit-secret' spellcheck='false'></label>" +
+    "<label class='view-option'>Algorithm <select id='edit-algorithm'>" +
+    "<option value='SHA1'>SHA1</option>" +
+    "<option value='SHA256'>SHA256</option>" +
+    "<option value='SHA512'>SHA512</option>" +
+    "</select></label>" +
+    "<label class='view-option'>Digits <input type='number' id='edit-digits' min='6' max='10'></label>" +
+    "<label class='view-option' id='edit-period-row'>Period (seconds) <input type='number' id='edit-period' min='1'></label>" +
+    "<label class='view-option'>Group <input type='text' id='edit-group' list='edit-group-names'></label>" +
+    "<datalist id='edit-group-names'></datalist>" +
+    "<label class='view-option'>Tags <input type='text' id='edit-tags' placeholder='work, shared'></label>" +
+    "<label class='view-option'>Notes <textarea id='edit-notes' rows='3'></textarea></label>" +
+    "<p class='edit-preview'>Code: <span id='edit-preview'>------</span></p>" +
+    "<ul id='edit-errors' class='restore-list'></ul>" +
+    "<button id='edit-save-btn'>Save</button>" +
+    "<button id='edit-cancel-btn'>Cancel</button>" +
+    "</div>";
+
+  clearTimeout(editPreviewTimer);
+  document.getElementById("edit-cancel-btn").onclick = () => {
+    location.hash = `#view/${encodeURIComponent(id)}`;
+  };
+
+  getAccount(id, (account) => {
+    if (!account) {
+      container.querySelector("h3").textContent = "Account not found";
+      return;
+    }
+
+    document.getElementById("edit-name").value = account.name;
+    document.getElementById("edit-issuer").value = account.issuer || "";
+    document.getElementById("edit-secret").value = account.secret || "";
+    document.getElementById("edit-algorithm").value = normalizeAlgorithm(account.algorithm);
+    document.getElementById("edit-digits").value = String(account.digits || OTP_DEFAULTS.digits);
+    document.getElementById("edit-period").value = String(account.period || OTP_DEFAULTS.period);
+    document.getElementById("edit-group").value = account.group || "";
+    document.getElementById("edit-tags").value = (account.tags || []).join(", ");
+    document.getElementById("edit-notes").value = account.notes || "";
+    document.getElementById("edit-period-row").hidden = account.type === "hotp";
+
+    // Other accounts, to check the new name against; and the clock offset,
+    // so the preview matches the codes shown elsewhere
+    loadAccounts((accounts) => loadDeviceSettings((device) => {
+      const others = accounts.filter(other => other.id !== account.id);
+      accountGroups(accounts).forEach(group => {
+        document.getElementById("edit-group-names").appendChild(new Option(group));
+      });
+      const update = () => updateEditPreview(account, others, device.timeOffset);
+
+      container.querySelectorAll("input, select, textarea").forEach(field => field.oninput = update);
+      update();
+
+      document.getElementById("edit-save-btn").onclick = () => {
+        const { fields, errors } = readEditForm(account, others);
+        if (errors.length) {
+          showEditErrors(errors);
+          return;
+        }
+        // The stored record may have changed since the page opened (e.g. the
+        // HOTP counter), so only the form's fields are written over it
+        getAccount(account.id, (current) => {
+          if (!current) {
+            showEditErrors(["This account no longer exists."]);
+            return;
+          }
+          saveAccount({ ...current, ...fields }, (err) => {
+            if (err) {
+              showEditErrors(["Could not save: " + err.message]);
+              return;
+            }
+            location.hash = `#view/${encodeURIComponent(account.id)}`;
+          });
+        });
+      };
+    }));
+  });
+}
+
+/**
+ * Read and validate the edit form.
+ *
+ * @param {Object} account - Account being edited
+ * @param {Object[]} others - All other stored accounts
+ * @returns {{fields: Object, errors: string[]}} The changed record fields,
+ *   and one message per problem (empty if the form can be saved)
+ */
+function readEditForm(account, others) {
+  const errors = [];
+  const fields = {
+    name: document.getElementById("edit-name").value.trim(),
+    issuer: document.getElementById("edit-issuer").value.trim(),
+    secret: normalizeBase32(document.getElementById("edit-secret").value),
+    algorithm: document.getElementById("edit-algorithm").value,
+    digits: Number(document.getElementById("edit-digits").value),
+    group: document.getElementById("edit-group").value.trim(),
+    tags: parseTagList(document.getElementById("edit-tags").value),
+    notes: document.getElementById("edit-notes").value.trim()
+  };
+  if (account.type !== "hotp") {
+    fields.period = Number(document.getElementById("edit-period").value);
+  }
+
+  if (!fields.name) {
+    errors.push("Enter a name.");
+  }
+  const sameName = (other) => other.name.toLowerCase() === fields.name.toLowerCase() &&
+    (other.issuer || "").toLowerCase() === fields.issuer.toLowerCase();
+  if (fields.name && others.some(sameName)) {
+    errors.push("Another account is already called " + accountLabel(fields) + ".");
+  }
+  if (!fields.secret || !isValidBase32(fields.secret)) {
+    errors.push("Secret is not valid Base32 (only A–Z and 2–7 are allowed).");
+  }
+  if (!(Number.isInteger(fields.digits) && fields.digits >= 6 && fields.digits <= 10)) {
+    errors.push("Digits must be between 6 and 10.");
+  }
+  if ("period" in fields && !(Number.isInteger(fields.period) && fields.period > 0)) {
+    errors.push("Period must be a whole number of seconds.");
+  }
+  return { fields, errors };
+}
+
+/**
+ * Show the code the edited account would produce, and what is wrong with the
+ * form if anything. Runs on every change and again when the period ends.
+ *
+ * @param {Object} account - Account being edited
+ * @param {Object[]} others - All other stored accounts
+ * @param {number} timeOffset - Clock correction in seconds (`timeOffset` device setting)
+ */
+function updateEditPreview(account, others, timeOffset) {
+  clearTimeout(editPreviewTimer);
+  const preview = document.getElementById("edit-preview");
+  if (!preview || document.getElementById("page-edit").style.display === "none") return;
+
+  const { fields, errors } = readEditForm(account, others);
+  showEditErrors(errors);
+
+  const params = { ...account, ...fields, timeOffset };
+  if (!isValidBase32(fields.secret)) {
+    preview.textContent = "------";
+    return;
+  }
+  generateCode(fields.secret, params)
+    .then(code => preview.textContent = code)
+    .catch(() => preview.textContent = "------");
+
+  if (account.type !== "hotp" && fields.period > 0) {
+    const { expiresAt } = getTotpStep(params);
+    editPreviewTimer = setTimeout(() => updateEditPreview(account, others, timeOffset), expiresAt - Date.now());
+  }
+}
+
+function showEditErrors(errors) {
+  const list = document.getElementById("edit-errors");
+  list.textContent = "";
+  errors.forEach(error => {
+    const item = document.createElement("li");
+    item.textContent = error;
+    list.appendChild(item);
+  });
+}
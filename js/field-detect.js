@@ -0,0 +1,262 @@
+// field-detect.js — content script helpers that find the OTP input on a page.
+// Loaded before content.js; every candidate input gets a score from the
+// signals below and the best one above OTP_MIN_SCORE wins. An input also
+// needs at least one OTP signal of its own (autocomplete, code wording in its
+// name or label, or numeric input), so plain text inputs (username, search
+// boxes) never qualify, whatever their maxlength. Inputs inside
+// open shadow roots count too; each frame only searches its own document.
+
+const OTP_MIN_SCORE = 30;
+
+// Words that suggest a one-time code field, and ones that rule a field out
+const OTP_HINTS = /one[\s_-]?time|otp|2fa|two[\s_-]?(factor|step)|mfa|totp|verif|authenticat|security[\s_-]?code|auth[\s_-]?code|passcode|token/i;
+const OTP_WEAK_HINTS = /code|pin\b|digits/i;
+const NOT_OTP_HINTS = /user|e-?mail|login|search|query|phone|mobile|zip|postal|postcode|address|name|captcha|coupon|promo|discount|gift|cvc|cvv/i;
+
+// Button wording for submitting a code, and for buttons that must never be pressed
+const SUBMIT_HINTS = /verify|submit|continue|confirm|sign[\s-]?in|log[\s-]?in|next|done|^ok$/i;
+const NOT_SUBMIT_HINTS = /resend|send (a )?new|cancel|back|try another|use another/i;
+
+// Input types that can hold a code
+const OTP_INPUT_TYPES = ["", "text", "number", "tel", "password"];
+
+/**
+ * Find the input most likely to take a one-time code.
+ *
+ * @param {number} codeLength - Length of the code about to be filled
+ * @param {HTMLInputElement[]} [inputs] - The page's inputs, if already collected
+ * @returns {{element: HTMLInputElement, score: number, reasons: string[]}|null}
+ */
+function findOtpField(codeLength, inputs = queryAllDeep("input")) {
+    let best = null;
+    for (const input of inputs) {
+        if (!isFillableInput(input)) continue;
+        const result = scoreOtpField(input, codeLength);
+        if (result.hinted && result.score >= OTP_MIN_SCORE && (!best || result.score > best.score)) {
+            best = { element: input, ...result };
+        }
+    }
+    return best;
+}
+
+/**
+ * Find a run of one-character boxes that together take the code (the
+ * "one digit per box" pattern). Boxes are consecutive fillable inputs with
+ * `maxlength=1` in the same form; any other fillable input in between ends
+ * the run.
+ *
+ * @param {number} codeLength - Length of the code about to be filled
+ * @param {HTMLInputElement[]} [inputs] - The page's inputs, if already collected
+ * @returns {{elements: HTMLInputElement[], score: number, reasons: string[]}|null}
+ *   The first run with exactly `codeLength` boxes
+ */
+function findOtpInputGroup(codeLength, inputs = queryAllDeep("input")) {
+    let run = [];
+
+    for (const input of [...inputs.filter(isFillableInput), null]) {
+        const continues = input && input.maxLength === 1 &&
+            (!run.length || run[0].form === input.form);
+        if (continues) {
+            run.push(input);
+            continue;
+        }
+        if (run.length === codeLength) {
+            const reasons = [codeLength + " single-character boxes"];
+            const hinted = run.some(box => box.getAttribute("autocomplete") === "one-time-code" || OTP_HINTS.test(fieldText(box)));
+            if (hinted) reasons.push("OTP wording");
+            return { elements: run, score: hinted ? 100 : 60, reasons };
+        }
+        run = input && input.maxLength === 1 ? [input] : [];
+    }
+    return null;
+}
+
+/**
+ * Score how likely an input is to be the OTP field.
+ *
+ * @param {HTMLInputElement} input - Candidate input
+ * @param {number} codeLength - Length of the code about to be filled
+ * @returns {{score: number, reasons: string[], hinted: boolean}} Score, the
+ *   signals that contributed, and whether any of them is an OTP signal by itself
+ */
+function scoreOtpField(input, codeLength) {
+    let score = 0;
+    const reasons = [];
+    const autocomplete = (input.getAttribute("autocomplete") || "").toLowerCase();
+    const attributes = [input.name, input.id, input.className].join(" ");
+    const text = fieldText(input);
+    const numeric = input.inputMode === "numeric" || input.type === "number" || input.type === "tel";
+    const hinted = autocomplete.includes("one-time-code") || numeric ||
+        OTP_HINTS.test(attributes) || OTP_WEAK_HINTS.test(attributes) || OTP_HINTS.test(text) || OTP_WEAK_HINTS.test(text);
+    const add = (points, reason) => {
+        score += points;
+        reasons.push(reason);
+    };
+
+    if (autocomplete.includes("one-time-code")) add(100, "autocomplete=one-time-code");
+    else if (/username|email|current-password|new-password|tel|name/.test(autocomplete)) add(-80, "autocomplete=" + autocomplete);
+
+    if (numeric) add(20, "numeric input");
+    if (/\\d|0-9/.test(input.pattern || "")) add(10, "numeric pattern");
+
+    const maxLength = input.maxLength;
+    if (maxLength === codeLength) add(25, "maxlength matches code");
+    else if (maxLength > 0 && maxLength < codeLength) add(-40, "maxlength too short");
+    else if (maxLength > 10) add(-5, "long maxlength");
+
+    if (OTP_HINTS.test(attributes)) add(40, "name/id");
+    else if (OTP_WEAK_HINTS.test(attributes)) add(15, "name/id mentions code");
+    if (OTP_HINTS.test(text)) add(30, "label/placeholder");
+    else if (OTP_WEAK_HINTS.test(text)) add(15, "label mentions code");
+    if (NOT_OTP_HINTS.test(attributes) && !OTP_HINTS.test(attributes) || NOT_OTP_HINTS.test(text) && !OTP_HINTS.test(text)) add(-50, "looks like another field");
+
+    if (input === deepActiveElement()) add(15, "focused");
+    if (!input.value) add(5, "empty");
+
+    return { score, reasons, hinted };
+}
+
+/**
+ * Whether an input can receive a code at all: a text-like type, enabled,
+ * writable and visible on screen.
+ *
+ * @param {HTMLInputElement} input
+ * @returns {boolean}
+ */
+function isFillableInput(input) {
+    return OTP_INPUT_TYPES.includes(input.getAttribute("type") ? input.type : "") &&
+        !input.disabled && !input.readOnly && isVisible(input);
+}
+
+/**
+ * Whether an element is rendered and not hidden by CSS.
+ *
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isVisible(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width < 2 || rect.height < 2) return false;
+    const style = getComputedStyle(el);
+    return style.visibility !== "hidden" && style.display !== "none" && style.opacity !== "0";
+}
+
+/**
+ * Find the control that submits the code entered into `input`: the form's
+ * submit button (or its only button), or, outside a form, the nearest button
+ * labelled like "Verify" or "Continue".
+ *
+ * @param {HTMLInputElement} input - Filled input
+ * @returns {HTMLElement|null}
+ */
+function findSubmitControl(input) {
+    const form = input.form || input.closest("form");
+    if (form) {
+        const controls = [...form.querySelectorAll("button, input[type=submit], input[type=image]")]
+            .filter(el => isVisible(el) && !NOT_SUBMIT_HINTS.test(controlText(el)));
+        return controls.find(el => el.type === "submit" || el.type === "image") ||
+            (controls.length === 1 ? controls[0] : null);
+    }
+
+    // No form: look for a suitable button in ever larger containers, leaving
+    // shadow roots through their host
+    let container = input.parentElement;
+    for (let depth = 0; container && depth < 6; depth++, container = container.parentElement || container.getRootNode().host) {
+        const control = [...container.querySelectorAll("button, [role=button], input[type=submit]")].find(el => {
+            const text = controlText(el);
+            return isVisible(el) && SUBMIT_HINTS.test(text) && !NOT_SUBMIT_HINTS.test(text);
+        });
+        if (control) return control;
+    }
+    return null;
+}
+
+function controlText(el) {
+    const text = el.tagName === "INPUT" ? el.value : el.textContent;
+    return (text || el.getAttribute("aria-label") || "").trim();
+}
+
+/**
+ * `querySelectorAll` that also looks inside open shadow roots. Results are in
+ * document order, with a shadow root's elements following its host.
+ *
+ * @param {string} selector - CSS selector
+ * @param {Document|ShadowRoot} [root=document] - Where to start
+ * @returns {Element[]}
+ */
+function queryAllDeep(selector, root = document) {
+    const matches = root.querySelectorAll(selector);
+    const found = [];
+    let next = 0;
+    for (const host of findShadowHosts(root)) {
+        // Matches before the host (its ancestors included) come first
+        while (next < matches.length && (matches[next] === host ||
+            host.compareDocumentPosition(matches[next]) & Node.DOCUMENT_POSITION_PRECEDING)) {
+            found.push(matches[next++]);
+        }
+        found.push(...queryAllDeep(selector, host.shadowRoot));
+    }
+    while (next < matches.length) found.push(matches[next++]);
+    return found;
+}
+
+// Elements with an open shadow root, in document order. The tree walker
+// only looks at elements, and most pages have none of these.
+function findShadowHosts(root) {
+    const hosts = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+        if (el.shadowRoot) hosts.push(el);
+    }
+    return hosts;
+}
+
+// The focused element, looking through shadow hosts to the element inside
+function deepActiveElement() {
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+        active = active.shadowRoot.activeElement;
+    }
+    return active;
+}
+
+/**
+ * Short description of the chosen field, reported back to the popup.
+ *
+ * @param {HTMLInputElement} input
+ * @param {number} score
+ * @param {string[]} reasons
+ * @returns {Object}
+ */
+function describeField(input, score, reasons) {
+    return {
+        name: input.name || "",
+        id: input.id || "",
+        label: fieldText(input).slice(0, 60),
+        score,
+        reasons
+    };
+}
+
+// Human-readable text describing an input: labels, placeholder, aria
+// attributes, and the text right around it
+function fieldText(input) {
+    const parts = [input.placeholder, input.title, input.getAttribute("aria-label")];
+    for (const label of input.labels || []) parts.push(label.textContent);
+
+    // Ids resolve within the input's own tree (document or shadow root)
+    const labelledBy = input.getAttribute("aria-labelledby");
+    if (labelledBy) {
+        for (const id of labelledBy.split(/\s+/)) {
+            const el = input.getRootNode().getElementById(id);
+            if (el) parts.push(el.textContent);
+        }
+    }
+
+    // Nearby text, e.g. "Enter the code from your authenticator app" above the field
+    const container = input.parentElement && input.parentElement.parentElement;
+    if (container) parts.push((container.innerText || "").slice(0, 200));
+
+    const cleaned = parts.filter(Boolean).map(part => part.replace(/\s+/g, " ").trim());
+    return [...new Set(cleaned)].join(" ");
+}
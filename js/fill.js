@@ -0,0 +1,131 @@
+/**
+ * fill.js
+ * -------
+ * Delivers a code to the content script of a tab. The content script runs
+ * in every frame, so login prompts inside iframes are found too; to make sure
+ * exactly one frame fills, all frames are asked for their best candidate score
+ * first (`probe_otp`, answered by an `otp_probe_result` message from each
+ * frame) and only the highest-scoring frame gets `fill_otp`. Ties go to the
+ * top frame, then to the frame that answered first.
+ *
+ * Callers pass a check that sees the origin of the chosen frame before
+ * anything is filled, so codes never reach a site the account does not belong
+ * to. That origin is the one Chrome reports as the sender of the frame's
+ * probe result, not what the page claims. `fill_otp` carries the origin the
+ * frame reported for itself, and the content script refuses it if the frame
+ * has navigated elsewhere in the meantime.
+ *
+ * Used by the popup and by the service worker's fill shortcut.
+ */
+
+// How long to wait for frames that have not reported, e.g. because no
+// content script runs in them
+const FRAME_PROBE_TIMEOUT = 300;
+
+/**
+ * Fill a code into the best-matching frame of a tab.
+ *
+ * @param {number} tabId - Target tab
+ * @param {{action: "fill_otp", code: string, autoSubmit?: boolean}} message - Fill request
+ * @param {function(string): (string|null)} checkOrigin - Receives the origin
+ *   of the frame about to be filled ("" if unknown); returns null to go ahead
+ *   or a message explaining why not
+ * @returns {Promise<Object>} The content script's response, or
+ *   `{ success: false, error }` if no frame has a code field or `checkOrigin`
+ *   refused (then also `blocked: true`)
+ * @throws {Error} (rejects) If no frame of the tab could be reached
+ */
+function fillInTab(tabId, message, checkOrigin) {
+  return findFillFrame(tabId, message.code.length).then(frame => {
+    if (!frame) {
+      return { success: false, error: "No one-time code field found on this page." };
+    }
+    const refusal = checkOrigin(frame.origin);
+    if (refusal) {
+      return { success: false, blocked: true, error: refusal };
+    }
+    return sendToFrame(tabId, frame.frameId, { ...message, origin: frame.frameOrigin });
+  });
+}
+
+/**
+ * Ask every frame of a tab how well it can take a code.
+ *
+ * @param {number} tabId - Target tab
+ * @param {number} codeLength - Length of the code about to be filled
+ * @returns {Promise<{frameId: number, origin: string, frameOrigin: string}|null>}
+ *   The best frame, its origin as known to Chrome and as the frame reported
+ *   it, or null if no frame has a candidate field
+ * @throws {Error} (rejects) If no frame answered at all
+ */
+function findFillFrame(tabId, codeLength) {
+  return probeFrames(tabId, codeLength).then(results => {
+    const best = results.reduce((a, b) => b.score > a.score || b.score === a.score && b.frameId === 0 ? b : a);
+    return best.score > 0 ? { frameId: best.frameId, origin: best.origin, frameOrigin: best.frameOrigin } : null;
+  });
+}
+
+/**
+ * Send `probe_otp` to all frames of a tab and collect their reports. Done
+ * once every frame announced by its parent has reported, or after
+ * `FRAME_PROBE_TIMEOUT`.
+ *
+ * @param {number} tabId - Target tab
+ * @param {number} codeLength - Length of the code about to be filled
+ * @returns {Promise<Array<{frameId: number, score: number, origin: string, frameOrigin: string}>>}
+ *   One entry per frame that reported, in the order they did. `origin` is
+ *   Chrome's `sender.origin`, `frameOrigin` what the frame reported
+ * @throws {Error} (rejects) If no frame has a content script (e.g. a chrome:// page)
+ */
+function probeFrames(tabId, codeLength) {
+  const probeId = crypto.randomUUID();
+  return new Promise((resolve, reject) => {
+    const results = [];
+    let expected = 1; // The top frame
+    let timer = null;
+    const finish = (error) => {
+      clearTimeout(timer);
+      chrome.runtime.onMessage.removeListener(collect);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(results);
+      }
+    };
+    const collect = (msg, sender) => {
+      if (msg.action !== "otp_probe_result" || msg.probeId !== probeId || !sender.tab || sender.tab.id !== tabId) return;
+      results.push({ frameId: sender.frameId, score: msg.score || 0, origin: sender.origin || "", frameOrigin: msg.origin || "" });
+      expected += msg.childFrames || 0;
+      if (results.length >= expected) finish();
+    };
+
+    chrome.runtime.onMessage.addListener(collect);
+    chrome.tabs.sendMessage(tabId, { action: "probe_otp", length: codeLength, probeId }, () => {
+      if (chrome.runtime.lastError) {
+        finish(new Error("Could not reach this page."));
+      } else if (results.length < expected) {
+        timer = setTimeout(finish, FRAME_PROBE_TIMEOUT);
+      }
+    });
+  });
+}
+
+/**
+ * Send a message to one frame's content script.
+ *
+ * @param {number} tabId - Target tab
+ * @param {number} frameId - Target frame (0 is the top frame)
+ * @param {Object} message - Message with an `action`
+ * @returns {Promise<*>} The frame's response
+ */
+function sendToFrame(tabId, frameId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, { frameId }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * gauth-migration.js
+ * ------------------
+ * Decoder for Google Authenticator "Transfer accounts" QR codes:
+ *
+ *   otpauth-migration://offline?data=<base64 protobuf MigrationPayload>
+ *
+ * A large export is split over several QR codes ("batches") that share a
+ * `batchId` and carry their own `batchIndex` out of `batchSize`.
+ *
+ * Payload layout (field numbers from Google's migration.proto):
+ *   MigrationPayload { repeated OtpParameters otp_parameters = 1;
+ *                      int32 version = 2; int32 batch_size = 3;
+ *                      int32 batch_index = 4; int32 batch_id = 5; }
+ *   OtpParameters    { bytes secret = 1; string name = 2; string issuer = 3;
+ *                      Algorithm algorithm = 4; DigitCount digits = 5;
+ *                      OtpType type = 6; int64 counter = 7; }
+ */
+
+// Enum values of OtpParameters; 0 means "unspecified" and maps to the default
+const GAUTH_ALGORITHMS = { 0: "SHA1", 1: "SHA1", 2: "SHA256", 3: "SHA512", 4: "MD5" };
+const GAUTH_DIGITS = { 0: 6, 1: 6, 2: 8 };
+const GAUTH_TYPES = { 0: "totp", 1: "hotp", 2: "totp" };
+
+/**
+ * Check whether decoded QR text is a Google Authenticator export.
+ *
+ * @param {string} uri - Raw text decoded from a QR code
+ * @returns {boolean}
+ */
+function isMigrationUri(uri) {
+  return /^otpauth-migration:\/\//i.test(uri.trim());
+}
+
+/**
+ * Decode one migration QR code.
+ *
+ * Accounts that Mint cannot generate codes for (MD5) are still returned, with
+ * an `unsupported` reason, so the preview can show them as skipped.
+ *
+ * @param {string} uri - `otpauth-migration://offline?data=...` text
+ * @returns {{batchId: number, batchIndex: number, batchSize: number,
+ *   accounts: Array<OtpAuthAccount & {unsupported?: string}>}}
+ * @throws {Error} If the URI or its payload is malformed
+ */
+function parseMigrationUri(uri) {
+  const query = uri.trim().split("?")[1] || "";
+  const data = new URLSearchParams(query).get("data");
+  if (!data) {
+    throw new Error("Migration QR has no data.");
+  }
+
+  // A literal "+" may have been turned into a space by query decoding
+  let bytes;
+  try {
+    bytes = Uint8Array.from(atob(data.replace(/ /g, "+")), c => c.charCodeAt(0));
+  } catch (err) {
+    throw new Error("Migration data is not valid base64.");
+  }
+
+  const payload = { batchId: 0, batchIndex: 0, batchSize: 1, accounts: [] };
+  readProtobuf(bytes, (field, value) => {
+    if (field === 1) payload.accounts.push(readOtpParameters(value));
+    else if (field === 3) payload.batchSize = value || 1;
+    else if (field === 4) payload.batchIndex = value;
+    else if (field === 5) payload.batchId = value;
+  });
+  return payload;
+}
+
+// Map one OtpParameters message to account fields
+function readOtpParameters(bytes) {
+  const params = { secret: new Uint8Array(0), name: "", issuer: "", algorithm: 0, digits: 0, type: 0, counter: 0 };
+  const decoder = new TextDecoder();
+  readProtobuf(bytes, (field, value) => {
+    if (field === 1) params.secret = value;
+    else if (field === 2) params.name = decoder.decode(value);
+    else if (field === 3) params.issuer = decoder.decode(value);
+    else if (field === 4) params.algorithm = value;
+    else if (field === 5) params.digits = value;
+    else if (field === 6) params.type = value;
+    else if (field === 7) params.counter = value;
+  });
+
+  // Names are exported as "Issuer:account" when the issuer is known
+  let name = params.name;
+  if (params.issuer && name.startsWith(params.issuer + ":")) {
+    name = name.slice(params.issuer.length + 1).trim();
+  }
+
+  const account = {
+    type: GAUTH_TYPES[params.type] || "totp",
+    name: name || params.issuer,
+    issuer: params.issuer,
+    secret: bytesToBase32(params.secret),
+    algorithm: GAUTH_ALGORITHMS[params.algorithm] || "SHA1",
+    digits: GAUTH_DIGITS[params.digits] || 6
+  };
+  if (account.type === "hotp") {
+    account.counter = params.counter;
+  } else {
+    account.period = OTP_DEFAULTS.period;
+  }
+  if (!OTP_ALGORITHMS[account.algorithm]) {
+    account.unsupported = account.algorithm + " is not supported";
+  }
+  return account;
+}
+
+/**
+ * Minimal protobuf wire-format reader. Calls `onField(fieldNumber, value)`
+ * for every field: varints as numbers, length-delimited fields as bytes.
+ * Fixed-width fields are skipped since the migration payload has none.
+ *
+ * @param {Uint8Array} bytes - Encoded message
+ * @param {function(number, (number|Uint8Array))} onField - Field callback
+ * @throws {Error} On truncated or unsupported input
+ */
+function readProtobuf(bytes, onField) {
+  let pos = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let factor = 1;
+    while (true) {
+      if (pos >= bytes.length) throw new Error("Migration data is truncated.");
+      const byte = bytes[pos++];
+      value += (byte & 0x7f) * factor;
+      if (!(byte & 0x80)) return value;
+      factor *= 128;
+    }
+  };
+
+  while (pos < bytes.length) {
+    const tag = readVarint();
+    const field = Math.floor(tag / 8);
+    const wireType = tag & 7;
+
+    if (wireType === 0) {
+      onField(field, readVarint());
+    } else if (wireType === 2) {
+      const length = readVarint();
+      if (pos + length > bytes.length) throw new Error("Migration data is truncated.");
+      onField(field, bytes.subarray(pos, pos + length));
+      pos += length;
+    } else if (wireType === 1) {
+      pos += 8;
+    } else if (wireType === 5) {
+      pos += 4;
+    } else {
+      throw new Error("Unsupported protobuf wire type " + wireType + ".");
+    }
+  }
+}
@@ -1,26 +1,128 @@
+/**
+ * Default TOTP parameters (RFC 6238): HMAC-SHA1, 6 digits, 30-second steps.
+ */
+const OTP_DEFAULTS = { algorithm: "SHA1", digits: 6, period: 30 };
 
-
+// Supported otpauth algorithm names mapped to their Web Crypto hash names
+const OTP_ALGORITHMS = { SHA1: "SHA-1", SHA256: "SHA-256", SHA512: "SHA-512" };
 
 /**
- * Generate a TOTP code from a Base32 secret using HMAC-SHA1.
+ * Generate a TOTP code from a Base32 secret.
  *
  * Implementation notes:
- * - Uses 30-second time steps (standard TOTP)
- * - Returns a Promise resolving to a zero-padded 6-digit string
+ * - `params` carries the per-account settings; anything missing falls back
+ *   to `OTP_DEFAULTS` (HMAC-SHA1, 6 digits, 30-second steps)
+ * - `params.time`, `params.timeOffset` and `params.stepOffset` pick another
+ *   time step than the current one (see `getTotpStep`)
+ * - Returns a Promise resolving to a zero-padded code string
  * - Uses the Web Crypto API (crypto.subtle.importKey + sign)
  *
  * @param {string} secret - Base32-encoded secret (case-insensitive, padding `=` allowed)
- * @returns {Promise<string>} Promise resolving to a 6-digit TOTP string
+ * @param {{algorithm?: string, digits?: number, period?: number, time?: number, timeOffset?: number, stepOffset?: number}} [params] - Generator parameters
+ * @returns {Promise<string>} Promise resolving to the TOTP string
+ */
+function generateTOTP(secret, params = {}) {
+    return generateOtp(secret, getTotpStep(params).step, params);
+}
+
+/**
+ * Work out the TOTP time step (RFC 6238 counter) for a moment in time.
+ *
+ * @param {Object} [params]
+ * @param {number} [params.period] - Step length in seconds
+ * @param {number} [params.time] - Local time in milliseconds (default: now)
+ * @param {number} [params.timeOffset] - Seconds to add to the local clock
+ * @param {number} [params.stepOffset] - Whole steps to move, e.g. 1 for the next code
+ * @returns {{step: number, expiresAt: number}} The step, and the local time
+ *   in milliseconds at which it ends
+ */
+function getTotpStep(params = {}) {
+    const period = Number(params.period) || OTP_DEFAULTS.period;
+    const offsetMs = (Number(params.timeOffset) || 0) * 1000;
+    const time = (params.time !== undefined ? params.time : Date.now()) + offsetMs;
+    const step = Math.floor(time / 1000 / period) + (Number(params.stepOffset) || 0);
+    return { step, expiresAt: (step + 1) * period * 1000 - offsetMs };
+}
+
+/**
+ * Work out how far this device's clock is off, from a code the server
+ * accepts right now. Time steps are tried nearest first, so the smallest
+ * drift that produces the code wins.
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code the server currently accepts
+ * @param {{algorithm?: string, digits?: number, period?: number}} [params] - Generator parameters
+ * @param {number} [maxSeconds=3600] - Largest drift to look for
+ * @returns {Promise<number|null>} Drift in steps (positive when the local
+ *   clock is behind), or null if no step within range gives the code
+ */
+function findTotpDrift(secret, code, params = {}, maxSeconds = 3600) {
+    const period = Number(params.period) || OTP_DEFAULTS.period;
+    const wanted = String(code).replace(/\s/g, "");
+    // Measured against the raw clock, whatever offset is set at the moment
+    const current = getTotpStep({ period }).step;
+
+    const drifts = [0];
+    for (let i = 1; i <= Math.ceil(maxSeconds / period); i++) drifts.push(i, -i);
+
+    return Promise.all(drifts.map(drift => generateOtp(secret, current + drift, params))).then(codes => {
+        const index = codes.indexOf(wanted);
+        return index < 0 ? null : drifts[index];
+    });
+}
+
+/**
+ * Generate a counter-based HOTP code (RFC 4226) from a Base32 secret.
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} counter - Current counter value of the account
+ * @param {{algorithm?: string, digits?: number}} [params] - Generator parameters
+ * @returns {Promise<string>} Promise resolving to the HOTP string
+ */
+function generateHOTP(secret, counter, params = {}) {
+    return generateOtp(secret, Number(counter) || 0, params);
+}
+
+/**
+ * Generate the current code for an account of either type.
+ * `params.type === "hotp"` uses `params.counter`; anything else is TOTP.
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {{type?: string, counter?: number, algorithm?: string, digits?: number, period?: number}} [params]
+ * @returns {Promise<string>} Promise resolving to the code string
+ */
+function generateCode(secret, params = {}) {
+    if (params.type === "hotp") {
+        return generateHOTP(secret, params.counter, params);
+    }
+    return generateTOTP(secret, params);
+}
+
+/**
+ * Compute the HMAC-based code for a given moving factor (RFC 4226).
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} counter - Moving factor (time step or HOTP counter)
+ * @param {{algorithm?: string, digits?: number}} [params] - Generator parameters
+ * @returns {Promise<string>} Promise resolving to the zero-padded code
  */
+function generateOtp(secret, counter, params = {}) {
+    const hash = OTP_ALGORITHMS[normalizeAlgorithm(params.algorithm)];
+    const digits = Number(params.digits) || OTP_DEFAULTS.digits;
+
+    if (!hash) {
+        return Promise.reject(new Error("Unsupported algorithm: " + params.algorithm));
+    }
+    if (!Number.isInteger(digits) || digits < 6 || digits > 10) {
+        return Promise.reject(new Error("Digits must be between 6 and 10: " + params.digits));
+    }
 
-function generateTOTP(secret) {
     const key = base32ToBytes(secret);
-    const epoch = Math.floor(Date.now() / 1000);
-    const time = Math.floor(epoch / 30);
     const buffer = new ArrayBuffer(8);
     const view = new DataView(buffer);
-    view.setUint32(4, time);
-    return crypto.subtle.importKey("raw", key, { name: "HMAC", hash: "SHA-1" }, false, ["sign"]).then(cryptoKey =>
+    view.setUint32(0, Math.floor(counter / 0x100000000));
+    view.setUint32(4, counter >>> 0);
+    return crypto.subtle.importKey("raw", key, { name: "HMAC", hash }, false, ["sign"]).then(cryptoKey =>
         crypto.subtle.sign("HMAC", cryptoKey, buffer).then(signature => {
             const bytes = new Uint8Array(signature);
             const offset = bytes[bytes.length - 1] & 0xf;
@@ -28,12 +130,46 @@ function generateTOTP(secret) {
                 ((bytes[offset + 1] & 0xff) << 16) |
                 ((bytes[offset + 2] & 0xff) << 8) |
                 (bytes[offset + 3] & 0xff);
-            const otp = binary % 1000000;
-            return otp.toString().padStart(6, '0');
+            const otp = binary % Math.pow(10, digits);
+            return otp.toString().padStart(digits, '0');
         })
     );
 }
 
+/**
+ * Normalise an algorithm name ("sha-256", "SHA256", ...) to the otpauth form.
+ * Missing values default to SHA1.
+ *
+ * @param {string} [algorithm] - Algorithm name as stored or parsed
+ * @returns {string} Upper-case name without dashes, e.g. "SHA256"
+ */
+function normalizeAlgorithm(algorithm) {
+    return (algorithm || OTP_DEFAULTS.algorithm).toUpperCase().replace(/-/g, '');
+}
+
+/**
+ * Canonical form of a Base32 secret: upper-case, without spaces, dashes or
+ * trailing `=` padding.
+ *
+ * @param {string} secret - Secret as typed or scanned
+ * @returns {string} Normalised secret
+ */
+function normalizeBase32(secret) {
+    return secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+}
+
+/**
+ * Check that a secret is well-formed Base32 (RFC 4648): only A-Z and 2-7
+ * after normalisation, and a length that ends on a whole byte.
+ *
+ * @param {string} secret - Secret as typed or scanned
+ * @returns {boolean} True when the secret decodes cleanly
+ */
+function isValidBase32(secret) {
+    const clean = normalizeBase32(secret);
+    return /^[A-Z2-7]+$/.test(clean) && [0, 2, 4, 5, 7].includes(clean.length % 8);
+}
+
 /**
  * Convert a Base32-encoded string to a Uint8Array of bytes.
  * Non-alphabet characters are stripped and padding `=` is ignored.
@@ -54,4 +190,23 @@ function base32ToBytes(base32) {
         bytes.push(parseInt(bits.substring(i, i + 8), 2));
     }
     return new Uint8Array(bytes);
+}
+
+/**
+ * Encode bytes as an unpadded Base32 string (inverse of `base32ToBytes`).
+ *
+ * @param {Uint8Array} bytes - Raw secret bytes
+ * @returns {string} Base32 string (A-Z2-7)
+ */
+function bytesToBase32(bytes) {
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+    let bits = "";
+    for (const byte of bytes) {
+        bits += byte.toString(2).padStart(8, "0");
+    }
+    let out = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        out += alphabet[parseInt(bits.substring(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return out;
 }
\ No newline at end of file
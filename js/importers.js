@@ -0,0 +1,241 @@
+/**
+ * importers.js
+ * ------------
+ * Readers for backup files of other authenticator apps:
+ *
+ * - Aegis: plain and password-encrypted vault JSON
+ * - andOTP: plain JSON
+ * - 2FAS: `.2fas` files (unencrypted)
+ * - FreeOTP+: JSON export
+ *
+ * Every reader maps entries to otpauth-style account fields (see
+ * `OtpAuthAccount` in otpauth.js) plus `tags`. Entries Mint cannot generate
+ * codes for (Steam, mOTP, ...) are kept with an `unsupported` reason so the
+ * import preview can list them as skipped.
+ */
+
+/**
+ * Recognise and read a backup file.
+ *
+ * @param {string} text - File contents
+ * @param {string} [password] - Password for encrypted Aegis vaults
+ * @returns {Promise<{format: string, accounts: Object[]}>}
+ * @throws {Error} (rejects) If the file is not recognised or cannot be read.
+ *   Encrypted vaults without a password reject with `err.code === "password_required"`.
+ */
+function parseImportFile(text, password) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return Promise.reject(new Error("The file is not valid JSON."));
+  }
+
+  try {
+    if (data && data.header && data.db !== undefined) {
+      return readAegis(data, password).then(accounts => ({ format: "Aegis", accounts }));
+    }
+    if (data && Array.isArray(data.services)) {
+      return Promise.resolve({ format: "2FAS", accounts: read2fas(data) });
+    }
+    if (data && Array.isArray(data.tokens)) {
+      return Promise.resolve({ format: "FreeOTP+", accounts: readFreeOtpPlus(data) });
+    }
+    if (Array.isArray(data) && data.every(entry => entry && "secret" in entry && "type" in entry)) {
+      return Promise.resolve({ format: "andOTP", accounts: readAndOtp(data) });
+    }
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return Promise.reject(new Error("Unrecognised backup file. Supported: Aegis, andOTP, 2FAS and FreeOTP+ exports."));
+}
+
+/**
+ * Build account fields from values common to all formats, validating them
+ * the same way an otpauth URI is validated.
+ *
+ * @param {Object} fields - type, name, issuer, secret, algorithm, digits, period, counter, tags
+ * @returns {Object} Account fields, with `unsupported` set if unusable
+ */
+function importedAccount(fields) {
+  const type = String(fields.type || "totp").toLowerCase();
+  const account = {
+    type,
+    name: (fields.name || fields.issuer || "").trim(),
+    issuer: (fields.issuer || "").trim(),
+    secret: normalizeBase32(String(fields.secret || "")),
+    algorithm: normalizeAlgorithm(fields.algorithm || undefined),
+    digits: Number(fields.digits) || OTP_DEFAULTS.digits,
+    tags: (fields.tags || []).filter(Boolean)
+  };
+  if (type === "hotp") {
+    account.counter = Number(fields.counter) || 0;
+  } else {
+    account.period = Number(fields.period) || OTP_DEFAULTS.period;
+  }
+
+  if (type !== "totp" && type !== "hotp") {
+    account.unsupported = type + " codes are not supported";
+  } else if (!isValidBase32(account.secret)) {
+    account.unsupported = "secret is not valid Base32";
+  } else if (!OTP_ALGORITHMS[account.algorithm]) {
+    account.unsupported = account.algorithm + " is not supported";
+  } else if (!(account.digits >= 6 && account.digits <= 10)) {
+    account.unsupported = account.digits + "-digit codes are not supported";
+  }
+  return account;
+}
+
+// --- Aegis ---
+
+// scrypt parameters accepted from a vault file. Aegis itself uses N=2^15,
+// r=8, p=1; the limits keep a crafted file from making scrypt allocate more
+// memory (128 * N * r bytes) or run longer than the popup can take
+const AEGIS_MAX_SCRYPT_N = 1 << 20;
+const AEGIS_MAX_SCRYPT_R = 8;
+const AEGIS_MAX_SCRYPT_P = 4;
+const AEGIS_MAX_SCRYPT_MEMORY = 256 * 1024 * 1024;
+
+function readAegis(data, password) {
+  if (typeof data.db !== "string") {
+    return Promise.resolve(readAegisDb(data.db));
+  }
+
+  const slots = (data.header.slots || []).filter(slot => slot.type === 1);
+  if (!slots.length) {
+    return Promise.reject(new Error("This Aegis vault has no password slot."));
+  }
+  const usableSlots = slots.filter(isSupportedScryptSlot);
+  if (!usableSlots.length) {
+    return Promise.reject(new Error("This Aegis vault uses unsupported key derivation settings."));
+  }
+  if (!password) {
+    const err = new Error("This Aegis vault is encrypted. Enter its password.");
+    err.code = "password_required";
+    return Promise.reject(err);
+  }
+
+  // Try each password slot until one yields the master key
+  const passwordBytes = new TextEncoder().encode(password);
+  const tryNext = (i) => {
+    if (i >= usableSlots.length) {
+      return Promise.reject(new Error("Wrong password for this Aegis vault."));
+    }
+    const slot = usableSlots[i];
+    return scrypt(passwordBytes, hexToBytes(slot.salt), slot.n, slot.r, slot.p, 32)
+      .then(derived => aesGcmOpen(derived, slot.key_params, hexToBytes(slot.key)))
+      .catch(() => tryNext(i + 1));
+  };
+
+  return tryNext(0)
+    .then(masterKey => aesGcmOpen(masterKey, data.header.params, base64ToBytes(data.db)))
+    .then(plain => readAegisDb(JSON.parse(new TextDecoder().decode(plain))));
+}
+
+function readAegisDb(db) {
+  // Vault version 3 references groups by uuid, older ones name a single group
+  const groupNames = new Map((db.groups || []).map(group => [group.uuid, group.name]));
+  return (db.entries || []).map(entry => {
+    const info = entry.info || {};
+    const tags = entry.groups ? entry.groups.map(uuid => groupNames.get(uuid)) : [entry.group];
+    return importedAccount({
+      type: entry.type,
+      name: entry.name,
+      issuer: entry.issuer,
+      secret: info.secret,
+      algorithm: info.algo,
+      digits: info.digits,
+      period: info.period,
+      counter: info.counter,
+      tags
+    });
+  });
+}
+
+// Whether a password slot's scrypt parameters are within the limits above
+function isSupportedScryptSlot(slot) {
+  const { n, r, p } = slot;
+  return Number.isInteger(n) && n > 1 && n <= AEGIS_MAX_SCRYPT_N && (n & (n - 1)) === 0 &&
+    Number.isInteger(r) && r >= 1 && r <= AEGIS_MAX_SCRYPT_R &&
+    Number.isInteger(p) && p >= 1 && p <= AEGIS_MAX_SCRYPT_P &&
+    128 * n * r <= AEGIS_MAX_SCRYPT_MEMORY;
+}
+
+// Decrypt AES-GCM data whose tag is stored separately, as Aegis does
+function aesGcmOpen(rawKey, params, ciphertext) {
+  const tag = hexToBytes(params.tag);
+  const sealed = new Uint8Array(ciphertext.length + tag.length);
+  sealed.set(ciphertext);
+  sealed.set(tag, ciphertext.length);
+
+  return crypto.subtle.importKey("raw", rawKey, "AES-GCM", false, ["decrypt"])
+    .then(key => crypto.subtle.decrypt({ name: "AES-GCM", iv: hexToBytes(params.nonce) }, key, sealed))
+    .then(plain => new Uint8Array(plain));
+}
+
+// --- 2FAS ---
+
+function read2fas(data) {
+  if (!data.services.length && data.servicesEncrypted) {
+    throw new Error("Encrypted 2FAS backups are not supported. Export again without a password.");
+  }
+  const groupNames = new Map((data.groups || []).map(group => [group.id, group.name]));
+  return data.services.map(service => {
+    const otp = service.otp || {};
+    return importedAccount({
+      type: otp.tokenType,
+      name: otp.account || otp.label || service.name,
+      issuer: otp.issuer || service.name,
+      secret: service.secret,
+      algorithm: otp.algorithm,
+      digits: otp.digits,
+      period: otp.period,
+      counter: otp.counter,
+      tags: [groupNames.get(service.groupId)]
+    });
+  });
+}
+
+// --- andOTP ---
+
+function readAndOtp(entries) {
+  return entries.map(entry => {
+    // Older exports put "issuer:account" into the label
+    let name = entry.label || "";
+    let issuer = entry.issuer || "";
+    if (!issuer && name.includes(":")) {
+      [issuer, name] = name.split(/:(.*)/s);
+    }
+    return importedAccount({
+      type: entry.type,
+      name,
+      issuer,
+      secret: entry.secret,
+      algorithm: entry.algorithm,
+      digits: entry.digits,
+      period: entry.period,
+      counter: entry.counter,
+      tags: entry.tags
+    });
+  });
+}
+
+// --- FreeOTP+ ---
+
+function readFreeOtpPlus(data) {
+  return data.tokens.map(token => importedAccount({
+    type: token.type,
+    name: token.label,
+    issuer: token.issuerExt || token.issuerInt,
+    // Secrets are exported as arrays of signed bytes
+    secret: bytesToBase32(Uint8Array.from(token.secret || [], byte => byte & 0xff)),
+    algorithm: token.algo,
+    digits: token.digits,
+    period: token.period,
+    counter: token.counter
+  }));
+}
+
+function hexToBytes(hex) {
+  return Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16));
+}
@@ -0,0 +1,217 @@
+// inline-suggest.js — content script that puts a small Mint chip on the
+// detected code field. Clicking it lists the accounts for this site with
+// their current codes; picking one fills it, so no popup is needed.
+// Loaded after content.js, whose fill helpers it reuses.
+//
+// Codes come from the service worker, which only hands out those of accounts
+// belonging to this frame's site and never any secret. The worker is asked
+// once when the frame loads; only frames with matching accounts then watch
+// the page for code fields. The chip lives in a
+// closed shadow root, so the page can neither read nor restyle it, and it
+// ignores clicks the page synthesises.
+
+// Code length assumed while looking for a field; most sites use 6 digits
+const SUGGEST_CODE_LENGTH = 6;
+const SUGGEST_CHIP_SIZE = 20;
+
+let suggestTarget = null; // Fill target the chip belongs to
+let suggestChip = null; // { host, menu }
+let suggestScanTimer = null;
+let suggestStopped = false;
+
+/**
+ * Look for a code field and attach the chip to it. Only runs in frames the
+ * service worker has accounts for.
+ */
+function scanForSuggestions() {
+    // The extension was reloaded or removed since this page loaded
+    if (suggestStopped || !chrome.runtime.id) return;
+
+    const target = findFillTarget(SUGGEST_CODE_LENGTH);
+    if (!target) {
+        removeSuggestChip();
+        return;
+    }
+    if (suggestTarget && suggestTarget.elements[0] === target.elements[0]) {
+        positionSuggestChip();
+        return;
+    }
+    attachSuggestChip(target);
+}
+
+function scheduleSuggestionScan() {
+    clearTimeout(suggestScanTimer);
+    suggestScanTimer = setTimeout(scanForSuggestions, 300);
+}
+
+/**
+ * Create the chip and its (hidden) menu for a fill target.
+ *
+ * @param {{elements: HTMLInputElement[]}} target - Result of `findFillTarget`
+ */
+function attachSuggestChip(target) {
+    removeSuggestChip();
+
+    const host = document.createElement("mint-suggest");
+    host.style.cssText = "position: absolute; top: 0; left: 0; z-index: 2147483647;";
+    const root = host.attachShadow({ mode: "closed" });
+    root.innerHTML =
+        "<style>" +
+        ".chip { width: " + SUGGEST_CHIP_SIZE + "px; height: " + SUGGEST_CHIP_SIZE + "px; padding: 0; border: none; border-radius: 50%;" +
+        " background: #2e7d32; color: white; font: bold 12px sans-serif; cursor: pointer; }" +
+        ".menu { position: absolute; top: " + (SUGGEST_CHIP_SIZE + 4) + "px; right: 0; min-width: 200px; padding: 4px;" +
+        " background: white; border: 1px solid #ccc; border-radius: 6px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);" +
+        " font: 13px sans-serif; color: #222; }" +
+        ".menu button { display: flex; justify-content: space-between; gap: 12px; width: 100%; padding: 6px 8px;" +
+        " border: none; background: none; font: inherit; color: inherit; text-align: left; cursor: pointer; }" +
+        ".menu button:hover { background: #e8f5e9; }" +
+        ".code { font-weight: bold; font-family: monospace; }" +
+        ".note, .hide { color: #666; font-size: 12px; }" +
+        ".note { padding: 6px 8px; }" +
+        "</style>" +
+        "<button class='chip' title='Fill a code with Mint'>M</button>" +
+        "<div class='menu' hidden></div>";
+    document.documentElement.appendChild(host);
+
+    suggestTarget = target;
+    suggestChip = { host, menu: root.querySelector(".menu") };
+
+    root.querySelector(".chip").addEventListener("click", (e) => {
+        e.preventDefault();
+        if (!e.isTrusted) return;
+        if (suggestChip.menu.hidden) {
+            openSuggestMenu();
+        } else {
+            suggestChip.menu.hidden = true;
+        }
+    });
+    positionSuggestChip();
+}
+
+function removeSuggestChip() {
+    if (suggestChip) suggestChip.host.remove();
+    suggestChip = null;
+    suggestTarget = null;
+}
+
+// Keep the chip at the right end of the field (or just after a row of boxes)
+function positionSuggestChip() {
+    if (!suggestChip) return;
+    const anchor = suggestTarget.elements[suggestTarget.elements.length - 1];
+    if (!anchor.isConnected || !isVisible(anchor)) {
+        removeSuggestChip();
+        return;
+    }
+    const rect = anchor.getBoundingClientRect();
+    const left = suggestTarget.elements.length > 1 ? rect.right + 4 : rect.right - SUGGEST_CHIP_SIZE - 4;
+    suggestChip.host.style.top = (rect.top + window.scrollY + (rect.height - SUGGEST_CHIP_SIZE) / 2) + "px";
+    suggestChip.host.style.left = (left + window.scrollX) + "px";
+}
+
+/**
+ * Fetch fresh codes and show them in the chip's menu.
+ */
+function openSuggestMenu() {
+    const menu = suggestChip.menu;
+    menu.textContent = "";
+    menu.hidden = false;
+
+    chrome.runtime.sendMessage({ action: "get_suggestions" }, (response) => {
+        if (chrome.runtime.lastError || !response) return;
+        menu.textContent = "";
+
+        if (response.locked) {
+            const note = document.createElement("div");
+            note.className = "note";
+            note.textContent = "Mint is locked. Unlock it from the toolbar button.";
+            menu.appendChild(note);
+        }
+        for (const account of response.accounts) {
+            const item = document.createElement("button");
+            const label = document.createElement("span");
+            label.textContent = account.label;
+            const code = document.createElement("span");
+            code.className = "code";
+            code.textContent = account.code || "------";
+            item.append(label, code);
+            item.disabled = !account.code;
+            item.addEventListener("click", (e) => {
+                if (e.isTrusted) fillSuggestion(account.id);
+            });
+            menu.appendChild(item);
+        }
+
+        const hide = document.createElement("button");
+        hide.className = "hide";
+        hide.textContent = "Don't suggest on this site";
+        hide.addEventListener("click", (e) => {
+            if (!e.isTrusted) return;
+            chrome.runtime.sendMessage({ action: "disable_inline_site" }, () => void chrome.runtime.lastError);
+            stopSuggestions();
+        });
+        menu.appendChild(hide);
+    });
+}
+
+/**
+ * Ask the service worker for an account's current code and fill it.
+ *
+ * @param {string} id - Account id
+ */
+function fillSuggestion(id) {
+    chrome.runtime.sendMessage({ action: "get_code", id }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.code) return;
+        // The code may be longer than the one the field was found for
+        const target = findFillTarget(response.code.length) || suggestTarget;
+        if (suggestChip) suggestChip.menu.hidden = true;
+        if (target) fillTarget(target, response.code, response.autoSubmit);
+    });
+}
+
+/**
+ * Start watching the page for code fields.
+ */
+function startSuggestions() {
+    if (suggestStopped) return;
+    suggestObserver.observe(document.documentElement, { childList: true, subtree: true });
+    document.addEventListener("focusin", scheduleSuggestionScan, true);
+    window.addEventListener("scroll", positionSuggestChip, { passive: true, capture: true });
+    window.addEventListener("resize", positionSuggestChip);
+    scanForSuggestions();
+}
+
+function stopSuggestions() {
+    suggestStopped = true;
+    suggestObserver.disconnect();
+    document.removeEventListener("focusin", scheduleSuggestionScan, true);
+    clearTimeout(suggestScanTimer);
+    removeSuggestChip();
+}
+
+// Sites often render their 2FA step later, without a page load
+const suggestObserver = new MutationObserver(scheduleSuggestionScan);
+
+// Close the menu on clicks elsewhere and on Escape
+document.addEventListener("click", (e) => {
+    if (suggestChip && !e.composedPath().includes(suggestChip.host)) suggestChip.menu.hidden = true;
+}, true);
+document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && suggestChip) suggestChip.menu.hidden = true;
+});
+
+// Only watch pages while suggestions are on and the service worker has
+// accounts for this frame's site (it also checks the per-site list).
+// Accounts added for the site later show up after a reload.
+chrome.storage.sync.get({ settings: {} }, ({ settings }) => {
+    if (settings.inlineSuggestions === false) {
+        suggestStopped = true;
+        return;
+    }
+    chrome.runtime.sendMessage({ action: "get_suggestions" }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.accounts.length) {
+            suggestStopped = true;
+            return;
+        }
+        startSuggestions();
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * otpauth.js
+ * ----------
+ * Parser and builder for `otpauth://` Key URIs, the format carried by
+ * authenticator QR codes:
+ *
+ *   otpauth://TYPE/[ISSUER:]ACCOUNT?secret=...&issuer=...&algorithm=...
+ *     &digits=...&period=...&counter=...&image=...
+ */
+
+/**
+ * Account fields described by an otpauth URI. Pass to `createAccount()` to
+ * get a storable record.
+ *
+ * @typedef {Object} OtpAuthAccount
+ * @property {"totp"|"hotp"} type
+ * @property {string} name - Account name (label without the issuer prefix)
+ * @property {string} issuer - Issuer from the `issuer` parameter or label prefix
+ * @property {string} secret - Normalised Base32 secret
+ * @property {string} algorithm - SHA1, SHA256 or SHA512
+ * @property {number} digits - 6 to 10
+ * @property {number} [period] - TOTP step in seconds
+ * @property {number} [counter] - HOTP counter
+ * @property {string} [image] - Issuer logo URL, if provided
+ */
+
+/**
+ * Parse and validate an otpauth URI.
+ *
+ * Every problem found is reported rather than stopping at the first one, so
+ * the caller can show the user everything that is wrong with a code.
+ *
+ * @param {string} uri - Raw text decoded from a QR code
+ * @returns {{account: (OtpAuthAccount|null), errors: string[]}} The account when
+ *   `errors` is empty, otherwise `account` is null
+ */
+function parseOtpAuthUri(uri) {
+  const errors = [];
+  const match = /^otpauth:\/\/([^/?#]*)\/([^?#]*)(?:\?([^#]*))?/i.exec(uri.trim());
+  if (!match) {
+    return { account: null, errors: ["Not an otpauth:// URI."] };
+  }
+
+  const type = match[1].toLowerCase();
+  if (type !== "totp" && type !== "hotp") {
+    errors.push("Unsupported OTP type: " + match[1] + ".");
+  }
+
+  // The label may contain an encoded colon (%3A) separating issuer and account
+  let label = "";
+  try {
+    label = decodeURIComponent(match[2]);
+  } catch (err) {
+    errors.push("Account label is not correctly URL-encoded.");
+  }
+  const colon = label.indexOf(":");
+  const labelIssuer = colon >= 0 ? label.slice(0, colon).trim() : "";
+  const name = (colon >= 0 ? label.slice(colon + 1) : label).trim();
+
+  const params = new URLSearchParams(match[3] || "");
+  const issuer = (params.get("issuer") || labelIssuer).trim();
+
+  const secret = params.get("secret");
+  if (!secret) {
+    errors.push("Missing secret.");
+  } else if (!isValidBase32(secret)) {
+    errors.push("Secret is not valid Base32 (only A–Z and 2–7 are allowed).");
+  }
+
+  const algorithm = normalizeAlgorithm(params.get("algorithm") || undefined);
+  if (!OTP_ALGORITHMS[algorithm]) {
+    errors.push("Unsupported algorithm: " + params.get("algorithm") + " (use SHA1, SHA256 or SHA512).");
+  }
+
+  const digits = readInteger(params, "digits", OTP_DEFAULTS.digits);
+  if (!(digits >= 6 && digits <= 10)) {
+    errors.push("Digits must be between 6 and 10, got " + params.get("digits") + ".");
+  }
+
+  const account = { type, name: name || issuer, issuer, secret: secret ? normalizeBase32(secret) : "", algorithm, digits };
+
+  if (type === "hotp") {
+    account.counter = readInteger(params, "counter", NaN);
+    if (!(account.counter >= 0)) {
+      errors.push(params.has("counter") ? "Counter must be a non-negative integer." : "HOTP URI is missing counter.");
+    }
+  } else {
+    account.period = readInteger(params, "period", OTP_DEFAULTS.period);
+    if (!(account.period > 0)) {
+      errors.push("Period must be a positive number of seconds, got " + params.get("period") + ".");
+    }
+  }
+
+  if (params.get("image")) {
+    account.image = params.get("image");
+  }
+
+  return errors.length ? { account: null, errors } : { account, errors };
+}
+
+/**
+ * Build the otpauth URI for an account, e.g. to render it as a QR code.
+ *
+ * @param {Object} account - Account record (or OtpAuthAccount)
+ * @returns {string} otpauth:// URI
+ */
+function buildOtpAuthUri(account) {
+  const label = account.issuer
+    ? encodeURIComponent(account.issuer) + ":" + encodeURIComponent(account.name)
+    : encodeURIComponent(account.name);
+
+  const params = new URLSearchParams({ secret: account.secret });
+  if (account.issuer) params.set("issuer", account.issuer);
+  params.set("algorithm", account.algorithm);
+  params.set("digits", account.digits);
+  if (account.type === "hotp") {
+    params.set("counter", account.counter);
+  } else {
+    params.set("period", account.period);
+  }
+
+  // Authenticator apps expect %20 rather than form-encoded "+" for spaces
+  return "otpauth://" + account.type + "/" + label + "?" + params.toString().replace(/\+/g, "%20");
+}
+
+// Read an integer query parameter; malformed values come back as NaN
+function readInteger(params, key, fallback) {
+  const value = params.get(key);
+  if (value === null || value === "") return fallback;
+  return /^\d+$/.test(value.trim()) ? Number(value) : NaN;
+}
@@ -0,0 +1,124 @@
+/**
+ * scrypt.js
+ * ---------
+ * scrypt key derivation (RFC 7914), which Web Crypto does not provide. Only
+ * needed to open password-protected Aegis vaults, so it favours clarity over
+ * speed; PBKDF2-HMAC-SHA256 comes from Web Crypto.
+ */
+
+/**
+ * Derive a key with scrypt.
+ *
+ * @param {Uint8Array} password - Password bytes
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} N - CPU/memory cost (power of two)
+ * @param {number} r - Block size
+ * @param {number} p - Parallelisation
+ * @param {number} dkLen - Output length in bytes
+ * @returns {Promise<Uint8Array>} Derived key
+ */
+function scrypt(password, salt, N, r, p, dkLen) {
+  if (!(N > 1) || (N & (N - 1)) !== 0) {
+    return Promise.reject(new Error("scrypt N must be a power of two."));
+  }
+
+  const blockWords = 32 * r;
+  return pbkdf2Sha256(password, salt, p * 128 * r).then(bytes => {
+    const B = bytesToWords(bytes);
+    for (let i = 0; i < p; i++) {
+      scryptROMix(B.subarray(i * blockWords, (i + 1) * blockWords), N, r);
+    }
+    return pbkdf2Sha256(password, wordsToBytes(B), dkLen);
+  });
+}
+
+// PBKDF2-HMAC-SHA256 with a single iteration, as scrypt uses it
+function pbkdf2Sha256(password, salt, length) {
+  return crypto.subtle.importKey("raw", password, "PBKDF2", false, ["deriveBits"])
+    .then(key => crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations: 1 }, key, length * 8))
+    .then(bits => new Uint8Array(bits));
+}
+
+// Sequential memory-hard mixing of one block, in place
+function scryptROMix(X, N, r) {
+  const blockWords = 32 * r;
+  const V = new Uint32Array(N * blockWords);
+  const scratch = new Uint32Array(blockWords);
+
+  for (let i = 0; i < N; i++) {
+    V.set(X, i * blockWords);
+    scryptBlockMix(X, scratch, r);
+  }
+  for (let i = 0; i < N; i++) {
+    // Integerify: first word of the last 64-byte chunk, modulo N
+    const j = X[blockWords - 16] & (N - 1);
+    for (let k = 0; k < blockWords; k++) {
+      X[k] ^= V[j * blockWords + k];
+    }
+    scryptBlockMix(X, scratch, r);
+  }
+}
+
+// BlockMix with Salsa20/8, in place (Y is scratch space of the same size)
+function scryptBlockMix(B, Y, r) {
+  const chunk = new Uint32Array(16);
+  chunk.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) {
+      chunk[k] ^= B[i * 16 + k];
+    }
+    salsa20_8(chunk);
+    // Even chunks go to the first half of the output, odd ones to the second
+    const target = (i % 2 === 0 ? i / 2 : r + (i - 1) / 2) * 16;
+    Y.set(chunk, target);
+  }
+  B.set(Y);
+}
+
+// Salsa20/8 core on 16 words, in place
+function salsa20_8(B) {
+  const x = Uint32Array.from(B);
+  const R = (a, b) => (a << b) | (a >>> (32 - b));
+
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9);
+    x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18);
+    x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9);
+    x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18);
+    x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9);
+    x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18);
+    x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9);
+    x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18);
+    x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9);
+    x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18);
+    x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9);
+    x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18);
+    x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9);
+    x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18);
+    x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+    x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+  }
+  for (let i = 0; i < 16; i++) {
+    B[i] = (B[i] + x[i]) >>> 0;
+  }
+}
+
+// Little-endian byte <-> word conversion, independent of platform endianness
+function bytesToWords(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const words = new Uint32Array(bytes.length / 4);
+  for (let i = 0; i < words.length; i++) {
+    words[i] = view.getUint32(i * 4, true);
+  }
+  return words;
+}
+
+function wordsToBytes(words) {
+  const bytes = new Uint8Array(words.length * 4);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < words.length; i++) {
+    view.setUint32(i * 4, words[i], true);
+  }
+  return bytes;
+}
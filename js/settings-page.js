@@ -0,0 +1,448 @@
+/**
+ * settings-page.js
+ * ----------------
+ * Loader for the popup's `#settings` route. Each setting group renders into
+ * its own section of `#page-settings`.
+ */
+
+/**
+ * Render the settings page.
+ */
+function loadSettingsPage() {
+  const container = document.getElementById("page-settings");
+  container.innerHTML =
+    "<img id='myc' src='images/Title Logo.png' alt='Mint Your Code'>" +
+    "<h3>Settings</h3>" +
+    "<div id='vault-settings' class='settings-section'></div>" +
+    "<div id='auto-lock-settings' class='settings-section'></div>" +
+    "<div id='code-settings' class='settings-section'></div>" +
+    "<div id='inline-settings' class='settings-section'></div>" +
+    "<div id='shortcut-settings' class='settings-section'></div>" +
+    "<div id='backup-settings' class='settings-section'></div>" +
+    "<button id='settings-back-btn'>Back</button>";
+
+  renderVaultSettings(document.getElementById("vault-settings"));
+  renderAutoLockSettings(document.getElementById("auto-lock-settings"));
+  renderCodeSettings(document.getElementById("code-settings"));
+  renderInlineSettings(document.getElementById("inline-settings"));
+  renderShortcutSettings(document.getElementById("shortcut-settings"));
+  renderBackupSettings(document.getElementById("backup-settings"));
+
+  document.getElementById("settings-back-btn").onclick = () => {
+    location.hash = "#list";
+  };
+}
+
+/**
+ * Render the master-password section: an enable form while the vault is off,
+ * lock / disable controls while it is on.
+ *
+ * @param {HTMLElement} section - Container to render into
+ */
+function renderVaultSettings(section) {
+  getVaultConfig().then(vault => {
+    if (!vault) {
+      section.innerHTML =
+        "<strong>Master password</strong>" +
+        "<p>Encrypt all secrets with a master password. You will need it to unlock Mint in every browser session.</p>" +
+        "<input type='password' id='vault-password' placeholder='New master password'>" +
+        "<input type='password' id='vault-password-confirm' placeholder='Repeat master password'>" +
+        "<p id='vault-status'></p>" +
+        "<button id='vault-enable-btn'>Enable</button>";
+
+      document.getElementById("vault-enable-btn").onclick = () => {
+        const password = document.getElementById("vault-password").value;
+        const confirmation = document.getElementById("vault-password-confirm").value;
+        const status = document.getElementById("vault-status");
+
+        if (password.length < 8) {
+          status.textContent = "Use at least 8 characters.";
+          return;
+        }
+        if (password !== confirmation) {
+          status.textContent = "Passwords do not match.";
+          return;
+        }
+
+        status.textContent = "Encrypting secrets...";
+        enableVault(password)
+          .then(() => renderVaultSettings(section))
+          .catch(err => {
+            console.error("Vault error:", err);
+            status.textContent = "Could not enable the vault: " + err.message;
+          });
+      };
+      return;
+    }
+
+    section.innerHTML =
+      "<strong>Master password</strong>" +
+      "<p>Secrets are encrypted with your master password.</p>" +
+      "<button id='vault-lock-btn'>Lock now</button>" +
+      "<input type='password' id='vault-password' placeholder='Master password'>" +
+      "<p id='vault-status'></p>" +
+      "<button id='vault-disable-btn'>Disable</button>";
+
+    document.getElementById("vault-lock-btn").onclick = () => {
+      chrome.runtime.sendMessage({ action: "lock_vault" }, () => location.hash = "#list");
+    };
+
+    document.getElementById("vault-disable-btn").onclick = () => {
+      const password = document.getElementById("vault-password").value;
+      const status = document.getElementById("vault-status");
+      if (!password || !confirm("Store secrets without encryption again?")) return;
+
+      status.textContent = "Decrypting secrets...";
+      disableVault(password)
+        .then(ok => {
+          if (ok) {
+            renderVaultSettings(section);
+          } else {
+            status.textContent = "Wrong password.";
+          }
+        })
+        .catch(err => {
+          console.error("Vault error:", err);
+          status.textContent = "Could not disable the vault: " + err.message;
+        });
+    };
+  });
+}
+
+/**
+ * Render the auto-lock section: idle timeout and lock-with-computer toggle.
+ * Changes are saved immediately; the background worker picks them up.
+ *
+ * @param {HTMLElement} section - Container to render into
+ */
+function renderAutoLockSettings(section) {
+  section.innerHTML =
+    "<strong>Auto-lock</strong>" +
+    "<p>Requires a master password. Mint locks after the chosen time without use.</p>" +
+    "<select id='auto-lock-minutes'>" +
+    "<option value='0'>Never</option>" +
+    "<option value='1'>After 1 minute</option>" +
+    "<option value='5'>After 5 minutes</option>" +
+    "<option value='15'>After 15 minutes</option>" +
+    "<option value='30'>After 30 minutes</option>" +
+    "<option value='60'>After 1 hour</option>" +
+    "</select>" +
+    "<label><input type='checkbox' id='lock-on-system-lock'> Lock when the computer locks</label>";
+
+  const minutes = document.getElementById("auto-lock-minutes");
+  const onSystemLock = document.getElementById("lock-on-system-lock");
+
+  loadSettings((settings) => {
+    minutes.value = String(settings.autoLockMinutes);
+    onSystemLock.checked = settings.lockOnSystemLock;
+  });
+
+  minutes.onchange = () => saveSettings({ autoLockMinutes: Number(minutes.value) });
+  onSystemLock.onchange = () => saveSettings({ lockOnSystemLock: onSystemLock.checked });
+}
+
+/**
+ * Render the codes section: when the upcoming code is shown next to the
+ * current one, and the clock offset with its calibration helper.
+ *
+ * @param {HTMLElement} section - Container to render into
+ */
+function renderCodeSettings(section) {
+  section.innerHTML =
+    "<strong>Codes</strong>" +
+    "<p>Show the next code shortly before the current one runs out.</p>" +
+    "<select id='next-code-seconds'>" +
+    "<option value='0'>Never</option>" +
+    "<option value='5'>In the last 5 seconds</option>" +
+    "<option value='10'>In the last 10 seconds</option>" +
+    "<option value='15'>In the last 15 seconds</option>" +
+    "<option value='20'>In the last 20 seconds</option>" +
+    "</select>" +
+    "<p>If codes are rejected because this computer's clock is off, correct it here (seconds, negative if the clock is ahead).</p>" +
+    "<label>Clock offset <input type='number' id='time-offset' step='1'></label>" +
+    "<p>Or calibrate it: pick an account and enter the code its website accepts right now, e.g. from your phone.</p>" +
+    "<select id='calibrate-account'></select>" +
+    "<input type='text' id='calibrate-code' inputmode='numeric' placeholder='Code'>" +
+    "<button id='calibrate-btn'>Calibrate</button>" +
+    "<p id='calibrate-status'></p>";
+
+  const seconds = document.getElementById("next-code-seconds");
+  const offset = document.getElementById("time-offset");
+  loadSettings((settings) => seconds.value = String(settings.nextCodeSeconds));
+  loadDeviceSettings((device) => offset.value = String(device.timeOffset));
+  seconds.onchange = () => saveSettings({ nextCodeSeconds: Number(seconds.value) });
+  offset.onchange = () => {
+    const value = Math.round(Number(offset.value)) || 0;
+    offset.value = String(value);
+    saveDeviceSettings({ timeOffset: value });
+  };
+
+  const accountSelect = document.getElementById("calibrate-account");
+  const status = document.getElementById("calibrate-status");
+  loadAccounts((accounts) => {
+    const totpAccounts = accounts.filter(account => account.type !== "hotp");
+    totpAccounts.forEach(account => {
+      const option = document.createElement("option");
+      option.value = account.id;
+      option.textContent = accountLabel(account);
+      accountSelect.appendChild(option);
+    });
+
+    document.getElementById("calibrate-btn").onclick = () => {
+      const account = totpAccounts.find(candidate => candidate.id === accountSelect.value);
+      const code = document.getElementById("calibrate-code").value;
+      if (!account || !code.trim()) {
+        status.textContent = "Pick an account and enter its current code.";
+        return;
+      }
+      if (!account.secret) {
+        status.textContent = "Unlock Mint first.";
+        return;
+      }
+
+      status.textContent = "Calibrating...";
+      calibrateTimeOffset(account, code)
+        .then(value => {
+          if (value === null) {
+            status.textContent = "That code does not match any time within an hour. Check it and try again.";
+            return;
+          }
+          offset.value = String(value);
+          status.textContent = value ? "Clock offset set to " + value + " seconds." : "This computer's clock is right; offset cleared.";
+        })
+        .catch(err => status.textContent = "Could not calibrate: " + err.message);
+    };
+  });
+}
+
+/**
+ * Measure the clock drift with a code the server accepts and store it as
+ * this device's `timeOffset` setting.
+ *
+ * @param {Object} account - TOTP account record with its secret
+ * @param {string} code - Code the account's website accepts right now
+ * @returns {Promise<number|null>} The stored offset in seconds, or null if
+ *   the code matched no time step (nothing is stored then)
+ */
+function calibrateTimeOffset(account, code) {
+  return findTotpDrift(account.secret, code, account).then(drift => {
+    if (drift === null) return null;
+    const value = drift * (Number(account.period) || OTP_DEFAULTS.period);
+    return new Promise(resolve => saveDeviceSettings({ timeOffset: value }, () => resolve(value)));
+  });
+}
+
+/**
+ * Render the inline suggestions section: the global switch and the sites
+ * where suggestions were turned off from the page, each with a button to
+ * turn them back on.
+ *
+ * @param {HTMLElement} section - Container to render into
+ */
+function renderInlineSettings(section) {
+  section.innerHTML =
+    "<strong>Suggestions on web pages</strong>" +
+    "<p>Show a Mint button on code fields of sites that match an account's websites.</p>" +
+    "<label><input type='checkbox' id='inline-suggestions'> Show suggestions</label>" +
+    "<ul id='inline-disabled-sites' class='restore-list'></ul>";
+
+  const enabled = document.getElementById("inline-suggestions");
+  const list = document.getElementById("inline-disabled-sites");
+
+  loadSettings((settings) => {
+    enabled.checked = settings.inlineSuggestions;
+    settings.inlineDisabledSites.forEach(site => {
+      const item = document.createElement("li");
+      item.textContent = "Off on " + site + " ";
+      const enableBtn = document.createElement("button");
+      enableBtn.textContent = "Turn on";
+      enableBtn.onclick = () => {
+        loadSettings((current) => {
+          const sites = current.inlineDisabledSites.filter(other => other !== site);
+          saveSettings({ inlineDisabledSites: sites }, () => renderInlineSettings(section));
+        });
+      };
+      item.appendChild(enableBtn);
+      list.appendChild(item);
+    });
+  });
+
+  enabled.onchange = () => saveSettings({ inlineSuggestions: enabled.checked });
+}
+
+/**
+ * Render the keyboard shortcuts section: the global shortcuts as currently
+ * assigned, a button to Chrome's page for changing them, and the keys of the
+ * popup itself.
+ *
+ * @param {HTMLElement} section - Container to render into
+ */
+function renderShortcutSettings(section) {
+  section.innerHTML =
+    "<strong>Keyboard shortcuts</strong>" +
+    "<ul id='shortcut-list' class='restore-list'></ul>" +
+    "<button id='shortcuts-btn'>Change shortcuts</button>" +
+    "<p>In the account list: ↑ and ↓ choose an account, Enter fills it, C copies its code, V opens it, / searches, Esc goes back.</p>";
+
+  const list = document.getElementById("shortcut-list");
+  chrome.commands.getAll((commands) => {
+    commands.forEach(command => {
+      const item = document.createElement("li");
+      item.textContent = (command.description || "Open Mint") + ": " + (command.shortcut || "not set");
+      list.appendChild(item);
+    });
+  });
+
+  // chrome:// pages cannot be linked to, only opened as a tab
+  document.getElementById("shortcuts-btn").onclick = () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  };
+}
+
+/**
+ * Render the backup section: export all accounts to a password-encrypted
+ * file, or restore one after reviewing what it would change.
+ *
+ * @param {HTMLElement} section - Container to render into
+ */
+function renderBackupSettings(section) {
+  section.innerHTML =
+    "<strong>Backup</strong>" +
+    "<p>Export all accounts to an encrypted file.</p>" +
+    "<input type='password' id='export-password' placeholder='Backup password'>" +
+    "<input type='password' id='export-password-confirm' placeholder='Repeat backup password'>" +
+    "<button id='export-btn'>Export</button>" +
+    "<p>Restore accounts from a backup file.</p>" +
+    "<input type='file' id='restore-file' accept='.json,application/json'>" +
+    "<input type='password' id='restore-password' placeholder='Backup password'>" +
+    "<button id='restore-btn'>Restore</button>" +
+    "<p id='backup-status'></p>" +
+    "<div id='restore-preview'></div>";
+
+  const status = document.getElementById("backup-status");
+
+  document.getElementById("export-btn").onclick = () => {
+    const password = document.getElementById("export-password").value;
+    const problem = checkBackupPassword(password, document.getElementById("export-password-confirm").value);
+    if (problem) {
+      status.textContent = problem;
+      return;
+    }
+
+    status.textContent = "Encrypting backup...";
+    loadAccounts((accounts) => {
+      downloadBackup(accounts, password)
+        .then(() => status.textContent = "Exported " + accounts.length + " accounts.")
+        .catch(err => status.textContent = "Export failed: " + err.message);
+    });
+  };
+
+  document.getElementById("restore-btn").onclick = () => {
+    const file = document.getElementById("restore-file").files[0];
+    const password = document.getElementById("restore-password").value;
+    if (!file || !password) {
+      status.textContent = "Choose a backup file and enter its password.";
+      return;
+    }
+
+    status.textContent = "Reading backup...";
+    file.text()
+      .then(text => readBackup(text, password))
+      .then(records => loadAccounts((accounts) => {
+        status.textContent = "";
+        renderRestorePreview(document.getElementById("restore-preview"), diffAccounts(accounts, records));
+      }))
+      .catch(err => status.textContent = err.message);
+  };
+}
+
+/**
+ * Check a new backup password and its confirmation.
+ *
+ * @param {string} password - Backup password
+ * @param {string} confirmation - The password typed again
+ * @returns {string|null} What is wrong with it, or null if it can be used
+ */
+function checkBackupPassword(password, confirmation) {
+  if (password.length < 8) {
+    return "Use a backup password of at least 8 characters.";
+  }
+  if (password !== confirmation) {
+    return "Passwords do not match.";
+  }
+  return null;
+}
+
+/**
+ * Encrypt accounts into a backup and save it through a download link.
+ *
+ * @param {Object[]} accounts - Records to back up
+ * @param {string} password - Backup password
+ * @returns {Promise<void>}
+ */
+function downloadBackup(accounts, password) {
+  return createBackup(accounts, password).then(json => {
+    const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "mint-backup-" + new Date().toISOString().slice(0, 10) + ".json";
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+}
+
+/**
+ * Show how a backup differs from the stored accounts and let the user pick
+ * how to merge it.
+ *
+ * @param {HTMLElement} container - Element to render the preview into
+ * @param {{added: Object[], changed: Object[], identical: Object[]}} diff - Result of `diffAccounts`
+ */
+function renderRestorePreview(container, diff) {
+  container.innerHTML = "";
+
+  const groups = [
+    ["New", diff.added.map(accountLabel)],
+    ["Changed", diff.changed.map(change => accountLabel(change.current) + " → " + accountLabel(change.incoming))],
+    ["Identical", diff.identical.map(accountLabel)]
+  ];
+  for (const [title, labels] of groups) {
+    const heading = document.createElement("strong");
+    heading.textContent = title + " (" + labels.length + ")";
+    const list = document.createElement("ul");
+    list.className = "restore-list";
+    labels.forEach(label => {
+      const item = document.createElement("li");
+      item.textContent = label;
+      list.appendChild(item);
+    });
+    container.append(heading, list);
+  }
+
+  const finish = (records) => {
+    saveAccounts(records, (err) => {
+      container.innerHTML = "";
+      document.getElementById("backup-status").textContent =
+        err ? "Restore failed: " + err.message : "Restored " + records.length + " accounts.";
+    });
+  };
+
+  const addBtn = document.createElement("button");
+  addBtn.textContent = "Add new";
+  addBtn.disabled = !diff.added.length;
+  addBtn.onclick = () => finish(diff.added);
+
+  // Changed accounts keep their stored id and creation date
+  const replaceBtn = document.createElement("button");
+  replaceBtn.textContent = "Add new & update changed";
+  replaceBtn.disabled = !diff.added.length && !diff.changed.length;
+  replaceBtn.onclick = () => finish(diff.added.concat(diff.changed.map(change =>
+    ({ ...change.incoming, id: change.current.id, createdAt: change.current.createdAt })
+  )));
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.onclick = () => container.innerHTML = "";
+
+  container.append(addBtn, replaceBtn, cancelBtn);
+}
@@ -0,0 +1,86 @@
+/**
+ * settings.js
+ * -----------
+ * User preferences, stored as a single `settings` item in
+ * `chrome.storage.sync`. Missing values fall back to `DEFAULT_SETTINGS`, so
+ * new settings need no migration.
+ *
+ * Settings that only hold for this device (such as the clock offset) live in
+ * a `deviceSettings` item in `chrome.storage.local` instead, with defaults in
+ * `DEFAULT_DEVICE_SETTINGS`.
+ */
+
+const DEFAULT_SETTINGS = {
+  // Lock the vault after this many minutes without using Mint (0 = never)
+  autoLockMinutes: 15,
+  // Also lock as soon as the computer's screen is locked
+  lockOnSystemLock: true,
+  // Show the next TOTP code during this many final seconds of a period (0 = never)
+  nextCodeSeconds: 10,
+  // Offer matching accounts' codes next to code fields on web pages
+  inlineSuggestions: true,
+  // Hosts where those suggestions are turned off
+  inlineDisabledSites: [],
+  // Groups whose accounts are folded away in the list
+  collapsedGroups: [],
+  // Order of the accounts list, a key of ACCOUNT_SORT_MODES
+  sortMode: "manual"
+};
+
+const DEFAULT_DEVICE_SETTINGS = {
+  // Seconds added to this device's clock before generating TOTP codes, to
+  // make up for a clock that is off
+  timeOffset: 0
+};
+
+/**
+ * Load the current settings.
+ *
+ * @param {function(Object)} callback - Receives the settings merged over the defaults
+ */
+function loadSettings(callback) {
+  chrome.storage.sync.get({ settings: {} }, (data) => {
+    callback({ ...DEFAULT_SETTINGS, ...data.settings });
+  });
+}
+
+/**
+ * Change some settings, keeping the others.
+ *
+ * @param {Object} changes - Settings to overwrite
+ * @param {function(Object)} [callback] - Receives the updated settings
+ */
+function saveSettings(changes, callback) {
+  loadSettings((settings) => {
+    const updated = { ...settings, ...changes };
+    chrome.storage.sync.set({ settings: updated }, () => {
+      if (callback) callback(updated);
+    });
+  });
+}
+
+/**
+ * Load the settings of this device.
+ *
+ * @param {function(Object)} callback - Receives the device settings merged over the defaults
+ */
+function loadDeviceSettings(callback) {
+  chrome.storage.local.get({ deviceSettings: {} }, (data) => {
+    callback({ ...DEFAULT_DEVICE_SETTINGS, ...data.deviceSettings });
+  });
+}
+
+/**
+ * Change some settings of this device, keeping the others.
+ *
+ * @param {Object} changes - Device settings to overwrite
+ * @param {function(Object)} [callback] - Receives the updated device settings
+ */
+function saveDeviceSettings(changes, callback) {
+  loadDeviceSettings((settings) => {
+    const updated = { ...settings, ...changes };
+    chrome.storage.local.set({ deviceSettings: updated }, () => {
+      if (callback) callback(updated);
+    });
+  });
+}
@@ -7,8 +7,9 @@
  * Lightweight single-page navigation and TOTP generation helpers for the Mint
  * Chrome extension popup.
  *
- * This file assumes the popup has three container elements with the following
- * IDs: `page-list`, `page-view`, and `page-add`.
+ * This file assumes the popup has container elements with the following
+ * IDs: `page-list`, `page-view`, `page-edit`, `page-add`, `page-unlock` and
+ * `page-settings`.
  */
 
 /**
@@ -17,7 +18,11 @@
  * Supported hashes:
  * - `#list` (or empty): shows the accounts list
  * - `#add`: shows the add-account page
- * - `#view/<name>`: shows the TOTP view for account `name`
+ * - `#view/<id>`: shows the code view for the account with that id
+ * - `#edit/<id>`: shows the edit form for the account with that id
+ * - `#settings`: shows the settings page
+ *
+ * While the vault is locked every hash shows the unlock page instead.
  *
  * @param {string} hash - The location.hash string (including the leading '#').
  */
@@ -37,12 +42,27 @@ const routes = {
   "#list": { page: "page-list", loader: loadListPage },
   "#addnew": { page: "page-add", loader: loadAddPage },
   "#view": { page: "page-view", loader: loadViewPage },
-  // "#settings": { page: "page-settings", loader: loadSettingsPage }
+  "#edit": { page: "page-edit", loader: loadEditPage },
+  "#unlock": { page: "page-unlock", loader: loadUnlockPage },
+  "#settings": { page: "page-settings", loader: loadSettingsPage }
 };
 
 
 // function to show the correct page based on the hash
 function showPage(hash) {
+  // While the vault is locked, every route leads to the unlock page. The hash
+  // is left alone so the requested page opens once unlocked.
+  isVaultLocked().then(locked => {
+    if (locked) {
+      renderPage("#unlock");
+    } else {
+      renderPage(hash === "#unlock" ? "#list" : hash);
+    }
+  });
+}
+
+// Render the page for a hash, without the vault check
+function renderPage(hash) {
   // Hide all pages
   document.querySelectorAll("div[id^=page-]").forEach(div => div.style.display = "none");
 
@@ -55,11 +75,12 @@ function showPage(hash) {
     return;
   }
 
-  // Handle special "view" route with dynamic name - view individual account added
-  if (hash.startsWith("#view/")) {
-    const name = decodeURIComponent(hash.split("/")[1]); // Extract name from hash
-    loadViewPage(name);
-    document.getElementById("page-view").style.display = "block";
+  // Handle routes with a dynamic account id - "#view/<id>" and "#edit/<id>"
+  const [base, param] = hash.split("/");
+  if ((base === "#view" || base === "#edit") && param !== undefined) {
+    const id = decodeURIComponent(param); // Extract account id from hash
+    document.getElementById(routes[base].page).style.display = "block";
+    routes[base].loader(id);
     return;
   }
 
@@ -88,80 +109,342 @@ function showPage(hash) {
 /**
  * Render the accounts list page.
  *
- * Reads `keys` from `chrome.storage.sync` and renders each account with a
- * View and Delete button. Adds an "Add New" button at the bottom.
+ * Reads the account records from `chrome.storage.sync` and renders each one
+ * with a View and Fill button. Accounts whose domains match the active tab
+ * are pinned at the top, then favourites, then the others by group under
+ * collapsible headings, each in the chosen sort order (dragging reorders
+ * them in manual mode). A search box above the list (focused on open) and a group filter
+ * narrow it down; Enter fills the only remaining match, and the arrow keys
+ * move into the list (see `handleListKey`). "Select" switches to picking
+ * accounts for the bulk actions (bulk-actions.js). Adds an "Add New" button
+ * at the bottom.
  **/
 function loadListPage() {
   const container = document.getElementById("page-list");
 
   // clear existing content and set up header
   container.innerHTML = "<img id=\"myc\" src=\"images/Title Logo.png\" alt=\"Mint Your Code\"> <h3>Accounts</h3>";
+  container.classList.remove("selecting");
+
+  const search = document.createElement("input");
+  search.type = "search";
+  search.id = "account-search";
+  search.placeholder = "Search name, issuer, tag or website";
+  search.autocomplete = "off";
+
+  const groupFilter = document.createElement("select");
+  groupFilter.id = "group-filter";
+  groupFilter.hidden = true;
+
+  const sortSelect = document.createElement("select");
+  sortSelect.id = "sort-mode";
+  sortSelect.title = "Sort accounts";
+  Object.keys(ACCOUNT_SORT_MODES).forEach(mode => sortSelect.add(new Option(ACCOUNT_SORT_MODES[mode], mode)));
+
+  const selectBtn = document.createElement("button");
+  selectBtn.id = "select-btn";
+  selectBtn.textContent = "Select";
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "list-toolbar";
+  toolbar.append(groupFilter, sortSelect, selectBtn);
+  container.append(search, toolbar);
+  search.focus();
+  listEntries = [];
+
+  //1. load all the accounts from the storage, the site they might be for, the
+  // sort order, how often each was used and which groups were collapsed
+  const tabDomain = getActiveTabDomain().catch(() => "");
+  loadAccounts((stored) => Promise.all([
+    tabDomain,
+    new Promise(resolve => loadSettings(resolve)),
+    new Promise(resolve => loadAccountUsage(resolve))
+  ]).then(([host, settings, usage]) => {
+    const entries = []; // { account, element, section } per rendered account
+    const accounts = sortAccounts(stored, settings.sortMode, usage);
+    const groups = accountGroups(accounts);
+    sortSelect.value = settings.sortMode;
+    sortSelect.onchange = () => saveSettings({ sortMode: sortSelect.value }, loadListPage);
+
+    //2. accounts for the current site first, then favourites, then one section
+    // per group, then the rest
+    const suggested = accounts.filter(account => accountMatchesHost(account, host));
+    const favourites = accounts.filter(account => account.favourite && !suggested.includes(account));
+    const others = accounts.filter(account => !suggested.includes(account) && !favourites.includes(account));
+    const ungrouped = others.filter(account => !account.group);
+    const sections = [
+      { title: "For " + host, accounts: suggested, suggested: true },
+      { title: "Favourites", accounts: favourites },
+      ...groups.map(group => ({
+        title: group,
+        group,
+        accounts: others.filter(account => account.group === group),
+        collapsed: settings.collapsedGroups.includes(group)
+      })),
+      { title: groups.length ? "Other accounts" : "All accounts", accounts: ungrouped }
+    ].filter(section => section.accounts.length);
+
+    sections.forEach(section => {
+      // A lone list of ungrouped accounts needs no heading
+      if (sections.length > 1 || section.suggested) {
+        section.heading = createSectionHeading(section, () => search.oninput());
+        container.appendChild(section.heading);
+      }
+      section.accounts.forEach(account => {
+        const element = renderAccountItem(account, Boolean(section.suggested));
+        entries.push({ account, element, section });
+        container.appendChild(element);
+      });
+    });
 
+    const noMatches = document.createElement("p");
+    noMatches.className = "list-empty";
+    noMatches.textContent = "No matching accounts.";
+    noMatches.hidden = true;
+    container.appendChild(noMatches);
+
+    //3. filter as you type or pick a group; keys are handled by handleListKey
+    listEntries = entries;
+    search.oninput = () => {
+      const matches = filterAccountList(entries, search.value, groupFilter.value);
+      noMatches.hidden = matches.length > 0;
+    };
+    if (groups.length) {
+      groupFilter.hidden = false;
+      groupFilter.add(new Option("All groups", ""));
+      groups.forEach(group => groupFilter.add(new Option(group, group)));
+      groupFilter.onchange = search.oninput;
+    }
+    search.oninput(); // Collapsed groups, and text typed before the accounts arrived
+    if (settings.sortMode === "manual") enableDragSort(entries, accounts);
+
+    //4. selection mode with the bulk actions
+    const bulkBar = createBulkBar(entries, groups);
+    container.insertBefore(bulkBar, toolbar.nextSibling);
+    selectBtn.onclick = () => {
+      const selecting = container.classList.toggle("selecting");
+      selectBtn.textContent = selecting ? "Done" : "Select";
+      bulkBar.hidden = !selecting;
+    };
 
-  //1. load all the keys from the storage
-  chrome.storage.sync.get({ keys: {} }, (data) => {
-    const keys = data.keys;
-
-    //2. for each key, create a div with account name, code, and buttons
-    for (const name in keys) {
+    const addBtn = document.createElement("button");
+    addBtn.textContent = "Add New";
+    addBtn.onclick = () => {
+      if (isLinux() && isPopup()) {
+        chrome.tabs.create({
+          url: chrome.runtime.getURL("add.html")
+        });
+      } else {
+        location.hash = "#addnew";
+      }
+    };
 
-      const secret = keys[name]; // Get secret directly from the data we already fetched
+    const settingsBtn = document.createElement("button");
+    settingsBtn.textContent = "Settings";
+    settingsBtn.onclick = () => location.hash = "#settings";
 
-      const div = document.createElement("div");
-      div.className = "account-item"; // Good for CSS styling
+    container.append(addBtn, settingsBtn);
+  }));
+}
 
-      const label = document.createElement("strong");
-      label.textContent = name;
+/**
+ * Let list entries be dragged to a new position within their section. The
+ * dropped account moves just before or after the one it was dropped on
+ * (depending on which half) in the one manual order all sections share, so
+ * it keeps that place next to it elsewhere too (`moveAccount`). The list is
+ * then redrawn.
+ *
+ * @param {{account: Object, element: HTMLElement, section: Object}[]} entries -
+ *   Rendered list entries
+ * @param {Object[]} accounts - All accounts
+ */
+function enableDragSort(entries, accounts) {
+  let dragged = null;
+  const dropsAfter = (e, element) => {
+    const rect = element.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2;
+  };
+  const clearMarks = (element) => element.classList.remove("drop-before", "drop-after");
 
-      const code = document.createElement("div");
-      code.className = "otp-code";
-      code.textContent = "Loading...";
+  entries.forEach(entry => {
+    const element = entry.element;
+    element.draggable = true;
 
-      const buttons = document.createElement("div");
-      buttons.className = "button-row";
-      // Action Buttons
-      const viewBtn = createBtn("icons/view.svg", () => location.hash = `#view/${encodeURIComponent(name)}`, "View");
-      // const deleteBtn = createBtn("icons/delete.svg", () => deleteKey(name), "Delete");
+    element.addEventListener("dragstart", (e) => {
+      dragged = entry;
+      element.classList.add("dragging");
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", accountLabel(entry.account));
+    });
+    element.addEventListener("dragend", () => {
+      dragged = null;
+      element.classList.remove("dragging");
+      entries.forEach(other => clearMarks(other.element));
+    });
+    element.addEventListener("dragover", (e) => {
+      if (!dragged || dragged === entry || dragged.section !== entry.section) return;
+      e.preventDefault(); // Allows dropping here
+      const after = dropsAfter(e, element);
+      element.classList.toggle("drop-after", after);
+      element.classList.toggle("drop-before", !after);
+    });
+    element.addEventListener("dragleave", () => clearMarks(element));
+    element.addEventListener("drop", (e) => {
+      if (!dragged || dragged === entry || dragged.section !== entry.section) return;
+      e.preventDefault();
+      moveAccount(accounts, dragged.account.id, entry.account.id, dropsAfter(e, element), (err) => {
+        if (err) {
+          showFillStatus("Could not save the order: " + err.message);
+        } else {
+          loadListPage();
+        }
+      });
+    });
+  });
+}
 
+/**
+ * Heading above a section of the list. Group headings show the number of
+ * accounts and collapse or expand their section on click; collapsed groups
+ * are remembered in the `collapsedGroups` setting.
+ *
+ * @param {{title: string, group?: string, accounts: Object[], collapsed?: boolean}} section
+ * @param {function()} onToggle - Called after a group was collapsed or expanded
+ * @returns {HTMLElement}
+ */
+function createSectionHeading(section, onToggle) {
+  if (section.group === undefined) {
+    const heading = document.createElement("p");
+    heading.className = "list-heading";
+    heading.textContent = section.title;
+    return heading;
+  }
 
-      // --- TOTP Update Logic ---
-      const updateCode = () => {
-        generateTOTP(secret).then(key => {
-          // If generateTOTP returns null or undefined, default to "------"
-          code.textContent = key || "Error";
-        }).catch(err => {
-          console.error("TOTP Error:", err);
-          code.textContent = "Error";
-        });
-      };
+  const heading = document.createElement("button");
+  heading.className = "list-heading group-heading";
+  const render = () => {
+    heading.textContent = (section.collapsed ? "▸ " : "▾ ") + section.title + " (" + section.accounts.length + ")";
+    heading.setAttribute("aria-expanded", String(!section.collapsed));
+  };
+  render();
+
+  heading.onclick = () => {
+    section.collapsed = !section.collapsed;
+    render();
+    onToggle();
+    loadSettings((settings) => {
+      const collapsed = settings.collapsedGroups.filter(group => group !== section.group);
+      saveSettings({ collapsedGroups: section.collapsed ? collapsed.concat(section.group) : collapsed });
+    });
+  };
+  return heading;
+}
 
-      updateCode();
-      const interval = setInterval(updateCode, 30000); // Update every 30s
+/**
+ * Show only the list entries matching a search query and group. Section
+ * headings left without any match are hidden too. Entries of collapsed
+ * groups stay hidden, except while searching or filtering by group.
+ *
+ * @param {{account: Object, element: HTMLElement, section: Object}[]} entries
+ *   Rendered accounts, with the section they are listed in
+ * @param {string} query - Search text
+ * @param {string} [group] - Only accounts of this group; empty for all
+ * @returns {Object[]} The matching entries
+ */
+function filterAccountList(entries, query, group) {
+  const matches = entries.filter(entry =>
+    accountMatchesQuery(entry.account, query) && (!group || entry.account.group === group));
+  entries.forEach(entry => {
+    entry.element.hidden = !matches.includes(entry) || Boolean(entry.section.collapsed && !query.trim() && !group);
+    if (entry.section.heading) entry.section.heading.hidden = !matches.some(match => match.section === entry.section);
+  });
+  return matches;
+}
 
-      const fillBtn = createBtn("icons/fill.svg", () => handleFill(code.textContent), "Fill");
+/**
+ * Whether an account matches a search query: every word of the query occurs
+ * in its name, issuer, group, a tag or a domain (case-insensitive).
+ *
+ * @param {Object} account - Account record
+ * @param {string} query - Search text; empty matches everything
+ * @returns {boolean}
+ */
+function accountMatchesQuery(account, query) {
+  const haystack = [account.name, account.issuer, account.group, ...(account.tags || []), ...(account.domains || [])]
+    .join(" ")
+    .toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
 
-      // Append elements to div
+/**
+ * Build the list entry for one account: selection checkbox (shown in
+ * selection mode), label, tags, live code (and the next one near the end of
+ * its period), favourite star, View and Fill buttons.
+ *
+ * @param {Object} account - Account record
+ * @param {boolean} suggested - Whether the account matches the active tab;
+ *   its code is then filled by clicking anywhere on the entry
+ * @returns {HTMLElement}
+ */
+function renderAccountItem(account, suggested) {
+  const div = document.createElement("div");
+  div.className = suggested ? "account-item suggested" : "account-item"; // Good for CSS styling
+  div.tabIndex = 0; // Reachable with Tab and the arrow keys
+
+  const selectBox = document.createElement("input");
+  selectBox.type = "checkbox";
+  selectBox.className = "select-box";
+  selectBox.title = "Select";
+
+  const label = document.createElement("strong");
+  label.textContent = accountLabel(account);
+
+  const tags = document.createElement("span");
+  tags.className = "account-tags";
+  tags.textContent = (account.tags || []).join(" · ");
+
+  const code = document.createElement("div");
+  code.className = "otp-code";
+  code.textContent = "Loading...";
+  if (account.revealError) code.title = account.revealError;
+
+  const codeRow = document.createElement("div");
+  codeRow.className = "code-row";
+  codeRow.append(code, createCountdown(account.id));
+  const nextCode = createNextCode(account);
+
+  const buttons = document.createElement("div");
+  buttons.className = "button-row";
+  // Action Buttons
+  const viewBtn = createBtn("icons/view.svg", () => location.hash = `#view/${encodeURIComponent(account.id)}`, "View");
+  // const deleteBtn = createBtn("icons/delete.svg", () => confirmDeleteAccount(account), "Delete");
+
+  const favouriteBtn = document.createElement("button");
+  favouriteBtn.className = "favourite-btn";
+  favouriteBtn.textContent = account.favourite ? "★" : "☆";
+  favouriteBtn.title = account.favourite ? "Remove from favourites" : "Add to favourites";
+  favouriteBtn.onclick = () => {
+    updateAccountMeta([account.id], (record) => record.favourite = !account.favourite, loadListPage);
+  };
 
-      buttons.append(viewBtn, fillBtn);
-      div.append(label, code, buttons);
-      container.appendChild(div);
+  // Kept up to date by the code clock
+  showLiveCode(code, account.id);
 
-    }
+  const fillBtn = createBtn("icons/fill.svg", () => handleFill(code.textContent, account), "Fill");
 
-    const addBtn = document.createElement("button");
-    addBtn.textContent = "Add New";
-    addBtn.onclick = () => {
-      if (isLinux() && isPopup()) {
-        chrome.tabs.create({
-          url: chrome.runtime.getURL("add.html")
-        });
-      } else {
-        location.hash = "#addnew";
-      }
+  // One click on a suggested entry fills it
+  if (suggested) {
+    div.title = "Click to fill";
+    div.onclick = (e) => {
+      if (!e.target.closest("button, input, .next-code")) handleFill(code.textContent, account);
     };
+  }
 
-    container.appendChild(addBtn);
-  });
+  // Append elements to div
+
+  buttons.append(favouriteBtn, viewBtn, fillBtn);
+  div.append(selectBox, label, tags, codeRow, nextCode, buttons);
+  return div;
 }
 
 
@@ -181,86 +464,276 @@ function createBtn(imgSrc, onClick, altText = "") {
   return btn;
 }
 
-function handleFill(currentCode) {
+/**
+ * Copy a code and ask the content script of the active tab to fill it in.
+ *
+ * @param {string} currentCode - Code currently shown
+ * @param {Object} account - Account the code belongs to; its `autoSubmit`
+ *   flag is passed on to the page
+ * @returns {Promise<void>} Settles once the fill was attempted
+ */
+function handleFill(currentCode, account) {
 
   // Check if the code is actually loaded
   if (currentCode === "Loading..." || currentCode === "Error") {
     console.warn("Code not ready yet.");
-    return;
+    return Promise.resolve();
   }
-  // Copy to clipboard safely
-  navigator.clipboard.writeText(currentCode)
+  // Copy to clipboard safely. Not before the phishing guard has passed, so a
+  // refused code does not end up in the clipboard either.
+  const copyCode = () => copyAccountCode(currentCode, account.id)
     .then(() => console.log("Copied to clipboard"))
     .catch(err => console.error("Clipboard error:", err));
 
   // Send message to active tab
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+  return chrome.tabs.query({ active: true, currentWindow: true }).then((tabs) => {
     if (!tabs.length || !tabs[0].id) {
       console.error("No active tab found.");
+      copyCode();
       return;
     }
 
-    chrome.tabs.sendMessage(
-      tabs[0].id,
-      { action: "fill_otp", code: currentCode },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          console.error("Message error:", chrome.runtime.lastError.message);
-        } else {
-          console.log("Autofill response:", response);
-        }
-      }
+    // fill.js picks the frame (top page or iframe) that has the code field
+    const message = { action: "fill_otp", code: currentCode, autoSubmit: Boolean(account.autoSubmit) };
+    return fillInTab(tabs[0].id, message, origin => checkFillOrigin(account, origin))
+      .then(response => {
+        console.log("Autofill response:", response);
+        if (!response.blocked) copyCode();
+        showFillStatus(describeFillResult(response));
+      })
+      .catch(err => {
+        console.error("Message error:", err.message);
+        copyCode();
+        showFillStatus("Copied. Could not reach this page to fill it.");
+      });
+  });
+}
+
+/**
+ * Copy a code to the clipboard, counting it as a use of its account for the
+ * usage sort orders.
+ *
+ * @param {string} code - Code to copy
+ * @param {string} id - Id of the account it belongs to
+ * @returns {Promise<void>}
+ */
+function copyAccountCode(code, id) {
+  recordAccountUse(id);
+  return navigator.clipboard.writeText(code);
+}
+
+/**
+ * Phishing guard: make sure a code only goes to the account's own websites,
+ * over HTTPS. Other pages need an explicit confirmation showing both, or are
+ * refused outright for strict accounts. For an account without websites the
+ * user is asked every time, and may make the page its website.
+ *
+ * @param {Object} account - Account whose code is about to be filled
+ * @param {string} origin - Origin of the page (frame) that would receive it
+ * @returns {string|null} null to fill, or why the code was not filled
+ */
+function checkFillOrigin(account, origin) {
+  if (accountMatchesOrigin(account, origin)) return null;
+
+  const host = domainFromUrl(origin);
+  const page = host ? origin : "a page without a web address";
+  if (!(account.domains || []).length) {
+    return checkFirstFillOrigin(account, origin);
+  }
+
+  const expected = account.domains.join(", ");
+  if (account.strict) {
+    return "Blocked: " + accountLabel(account) + " only fills on " + expected + ", not " + page + ".";
+  }
+  const proceed = confirm(
+    "This page is:\n    " + page + "\n" +
+    accountLabel(account) + " belongs to:\n    " + expected + "\n\n" +
+    "Fill the code anyway? If you did not expect this, the page may be a phishing site."
+  );
+  return proceed ? null : "Not filled into " + page + ".";
+}
+
+// The guard for accounts without websites: remember an HTTPS page as the
+// account's website if the user says so
+function checkFirstFillOrigin(account, origin) {
+  const host = /^https:\/\//i.test(origin) ? domainFromUrl(origin) : "";
+  const page = domainFromUrl(origin) ? origin : "a page without a web address";
+  if (account.strict) {
+    return "Blocked: " + accountLabel(account) + " has no websites set. Add one on its page first.";
+  }
+  if (!host) {
+    const proceed = confirm(
+      accountLabel(account) + " has no websites set, and this page is:\n    " + page + "\n\n" +
+      "Fill the code anyway? If you did not expect this, the page may be a phishing site."
     );
+    return proceed ? null : "Not filled into " + page + ".";
+  }
+
+  const proceed = confirm(
+    "Mint does not know the website of " + accountLabel(account) + " yet. This page is:\n    " + origin + "\n\n" +
+    "Fill the code and remember " + host + " as its website? Only do this on the site where you set up the account."
+  );
+  if (!proceed) return "Not filled into " + page + ".";
+  // Also on the caller's copy, so its next fill does not ask again
+  account.domains = [host];
+  updateAccountMeta([account.id], (record) => {
+    record.domains = [host];
+    record.updatedAt = Date.now();
   });
+  return null;
 }
+
 /**
- * Delete a stored key after a confirmation prompt.
+ * Summarise the content script's fill response for the user, naming the
+ * field that was chosen.
  *
- * @param {string} name - Account name to delete
+ * @param {{success: boolean, blocked?: boolean, error?: string, field?: Object}} response
+ * @returns {string}
  */
-function deleteKey(name) {
-  if (confirm("Delete " + name + "?")) {
-    chrome.storage.sync.get({ keys: {} }, (data) => {
-      const keys = data.keys;
-      delete keys[name];
-      chrome.storage.sync.set({ keys }, () => location.reload());
-    });
+function describeFillResult(response) {
+  if (response && response.blocked) {
+    return response.error;
+  }
+  if (!response || !response.success) {
+    return "Copied. " + (response && response.error || "Nothing was filled.");
   }
+  const field = response.field || {};
+  const name = field.label || field.name || field.id || "code field";
+  const message = "Filled into \"" + name + "\".";
+  if (response.submitted === true) return message + " Submitted.";
+  if (response.submitted === false) return message + " Not submitted: the page did not accept the code.";
+  return message;
 }
 
+let fillStatusTimer = null;
+
 /**
- * Render the view page for a given account and start updating the TOTP every
- * 30 seconds.
+ * Show a short-lived message in the popup's status line.
  *
- * NOTE: The implementation starts an interval but does not currently clear it
- * when navigating away. Consider improving this to avoid leaking intervals.
+ * @param {string} text - Message to show
+ */
+function showFillStatus(text) {
+  const status = document.getElementById("fill-status");
+  if (!status) return;
+  status.textContent = text;
+  status.hidden = false;
+  clearTimeout(fillStatusTimer);
+  fillStatusTimer = setTimeout(() => status.hidden = true, 4000);
+}
+
+/**
+ * Delete a stored account after a confirmation prompt.
  *
- * @param {string} name - Account name to view
+ * @param {Object} account - Account record to delete
  */
-function loadViewPage(name) {
+function confirmDeleteAccount(account) {
+  if (confirm("Delete " + accountLabel(account) + "?")) {
+    deleteAccount(account.id, () => location.reload());
+  }
+}
+
+/**
+ * Increment and persist the counter of a HOTP account.
+ *
+ * @param {string} id - Account id
+ * @param {function(number)} callback - Receives the new counter value once saved
+ */
+function advanceCounter(id, callback) {
+  getAccount(id, (account) => {
+    if (!account || account.type !== "hotp") return;
+
+    account.counter = (Number(account.counter) || 0) + 1;
+    saveAccount(account, () => callback(account.counter));
+  });
+}
+
+/**
+ * Render the view page for a given account. The code is kept current by the
+ * code clock.
+ *
+ * @param {string} id - Id of the account to view
+ */
+function loadViewPage(id) {
   const container = document.getElementById("page-view");
   container.innerHTML =
     "<div class='account-item'>" +
-    "<h3>" + name + "</h3>" +
-    "<div id='code'>Loading...</div>" +
+    "<h3 id='view-title'></h3>" +
+    "<div class='code-row'><div id='code'>Loading...</div><span id='view-countdown'></span></div>" +
+    "<div id='view-next-code'></div>" +
+    "<p id='view-notes' class='view-notes' hidden></p>" +
     "<div id='qr-preview' class='upload-box'></div>" +
     "<div class='button-row'>" +
     "<button id='copy'><img src='icons/copy.svg' alt='Copy' class='icon' title='Copy'></button><br>" +
     "<button id='fill'><img src='icons/fill.svg' alt='Fill' class='icon' title='Fill'></button><br>" +
     "<button id='delete-btn'><img src='icons/delete.svg' alt='Delete' class='icon' title='Delete'></button><br>" +
     "</div>" +
+    "<label class='view-option'>Websites <input type='text' id='domains-input' placeholder='example.com'></label>" +
+    "<label class='view-option'><input type='checkbox' id='strict-domains'> Never fill on other websites</label>" +
+    "<label class='view-option'><input type='checkbox' id='auto-submit'> Submit the form after filling</label>" +
+    "<button id='next-code-btn' hidden>Next code</button>" +
+    "<button id='edit-btn'>Edit</button>" +
     "<button id='back-btn'>Back</button><br>" +
     "</div>";
 
-  chrome.storage.sync.get({ keys: {} }, (data) => {
-    const secret = data.keys[name];
+  getAccount(id, (account) => {
+    if (!account) {
+      document.getElementById("code").textContent = "Account not found";
+      return;
+    }
+    document.getElementById("view-title").textContent = accountLabel(account);
+    const notes = document.getElementById("view-notes");
+    notes.textContent = account.notes || "";
+    notes.hidden = !account.notes;
+
+    // The options below show this copy of the record; refresh it from storage
+    // after every write, including a website learned by the first fill
+    const domainsInput = document.getElementById("domains-input");
+    const toggles = { "strict-domains": "strict", "auto-submit": "autoSubmit" };
+    const showOptions = () => {
+      domainsInput.value = (account.domains || []).join(", ");
+      Object.keys(toggles).forEach(elementId => {
+        document.getElementById(elementId).checked = Boolean(account[toggles[elementId]]);
+      });
+    };
+    const refreshAccount = () => getAccount(id, (current) => {
+      if (!current) return;
+      account = current;
+      showOptions();
+    });
+    // Options are not encrypted, so only they are written over the stored record
+    const saveOption = (change) => {
+      updateAccountMeta([id], (record) => {
+        change(record);
+        record.updatedAt = Date.now();
+      }, (err) => {
+        if (err) showFillStatus("Could not save: " + err.message);
+        refreshAccount();
+      });
+    };
+    showOptions();
+
+    // Copy and autofill in webpage
+    document.getElementById("fill").onclick = () => {
+      handleFill(document.getElementById("code").textContent, account).then(refreshAccount);
+    };
+
+    // Comma-separated, normalised to bare host names on save
+    domainsInput.onchange = () => {
+      const domains = parseDomainList(domainsInput.value);
+      domainsInput.value = domains.join(", ");
+      saveOption(record => record.domains = domains);
+    };
+
+    // Per-account switches, saved as soon as they change
+    Object.keys(toggles).forEach(elementId => {
+      const checkbox = document.getElementById(elementId);
+      checkbox.onchange = () => saveOption(record => record[toggles[elementId]] = checkbox.checked);
+    });
 
     // --- QR Code Preview ---
-    if (secret && typeof QRCode !== "undefined") {
-      const uri = "otpauth://totp/" + encodeURIComponent(name) +
-        "?secret=" + secret + "&issuer=" + encodeURIComponent(name);
+    if (account.secret && typeof QRCode !== "undefined") {
       new QRCode(document.getElementById("qr-preview"), {
-        text: uri,
+        text: buildOtpAuthUri(account),
         width: 160,
         height: 160,
         colorDark: "#000000",
@@ -269,59 +742,41 @@ function loadViewPage(name) {
       });
     }
 
-    const updateCode = () => {
-      generateTOTP(secret).then(code => {
-        document.getElementById("code").textContent = code;
-      });
-    };
-    const interval = setInterval(updateCode, 30000); // Update every 30s
-    updateCode(); // Run once immediately
-
-    // Clear the interval when navigating away to avoid leaking timers
-    window.addEventListener("hashchange", () => clearInterval(interval), { once: true });
+    // Kept up to date by the code clock, which also picks up a new counter
+    showLiveCode(document.getElementById("code"), account.id);
+    document.getElementById("view-countdown").replaceWith(createCountdown(account.id));
+    document.getElementById("view-next-code").replaceWith(createNextCode(account));
+
+    // HOTP: never refresh on a timer, advance the counter on request instead
+    if (account.type === "hotp") {
+      const nextBtn = document.getElementById("next-code-btn");
+      nextBtn.hidden = false;
+      nextBtn.onclick = () => {
+        nextBtn.disabled = true;
+        advanceCounter(account.id, (counter) => {
+          account.counter = counter;
+          nextBtn.disabled = false;
+        });
+      };
+    }
   });
 
   document.getElementById("copy").onclick = () => {
     const code = document.getElementById("code").textContent;
-    navigator.clipboard.writeText(code);
-  };
-
-  document.getElementById("fill").onclick = () => {
-    const code = document.getElementById("code").textContent;
-
-    // Guard against code not being ready yet
-    if (code === "Loading..." || code === "Error") {
-      console.warn("Code not ready yet.");
-      return;
-    }
-
-    // Copy to clipboard
-    navigator.clipboard.writeText(code);
-
-    // Also autofill in webpage
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (!tabs.length || !tabs[0].id) {
-        console.error("No active tab found.");
-        return;
-      }
-      chrome.tabs.sendMessage(
-        tabs[0].id,
-        { action: "fill_otp", code },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            console.error("Message error:", chrome.runtime.lastError.message);
-          } else {
-            console.log("Autofill response:", response);
-          }
-        }
-      );
-    });
+    if (code === "Loading..." || code === "Error") return;
+    copyAccountCode(code, id);
   };
 
   // Delete button handler
   document.getElementById("delete-btn").addEventListener("click", () => {
-    deleteKey(name);
-    location.hash = "#list";
+    getAccount(id, (account) => {
+      if (account) confirmDeleteAccount(account);
+      location.hash = "#list";
+    });
+  });
+
+  document.getElementById("edit-btn").addEventListener("click", () => {
+    location.hash = `#edit/${encodeURIComponent(id)}`;
   });
 
   document.getElementById("back-btn").addEventListener("click", () => {
@@ -331,6 +786,50 @@ function loadViewPage(name) {
 }
 
 
+/**
+ * Render the unlock page shown while the vault is locked.
+ *
+ * On a correct master password the vault key is kept for the browser session
+ * and the page that was originally requested is shown.
+ */
+function loadUnlockPage() {
+  const container = document.getElementById("page-unlock");
+  container.innerHTML =
+    "<img id='myc' src='images/Title Logo.png' alt='Mint Your Code'>" +
+    "<h3>Unlock Mint</h3>" +
+    "<input type='password' id='unlock-password' placeholder='Master password'>" +
+    "<p id='unlock-status'></p>" +
+    "<button id='unlock-btn'>Unlock</button>";
+
+  const input = document.getElementById("unlock-password");
+  const status = document.getElementById("unlock-status");
+  const unlockBtn = document.getElementById("unlock-btn");
+
+  const submit = () => {
+    if (!input.value) return;
+    unlockBtn.disabled = true;
+    status.textContent = "Unlocking...";
+
+    // The background worker derives and holds the session key
+    chrome.runtime.sendMessage({ action: "unlock_vault", password: input.value }, (response) => {
+      unlockBtn.disabled = false;
+      if (response && response.success) {
+        showPage(location.hash || "#list");
+      } else {
+        status.textContent = "Wrong password.";
+        input.select();
+      }
+    });
+  };
+
+  unlockBtn.onclick = submit;
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") submit();
+  });
+  input.focus();
+}
+
+
 // Reset the add page form each time it is shown
 function loadAddPage() {
   document.getElementById("key-name").value = "";
@@ -338,13 +837,303 @@ function loadAddPage() {
   document.getElementById("qr-status").textContent = "";
   document.getElementById("preview-image").hidden = true;
   document.getElementById("upload-text").style.display = "";
+  document.getElementById("import-preview").hidden = true;
+  document.getElementById("import-password-row").hidden = true;
+}
+
+
+
+
+
+
+/**
+ * Latest codes pushed by the service worker's code clock (code-clock.js),
+ * by account id.
+ */
+const liveCodes = new Map();
+
+let codePort = null;
+
+/**
+ * Subscribe to the code clock. Every message carries changed codes, which are
+ * written into all elements showing them.
+ */
+function connectCodeClock() {
+  codePort = chrome.runtime.connect({ name: CODE_PORT_NAME });
+  codePort.onMessage.addListener((msg) => {
+    Object.keys(msg.codes).forEach(id => liveCodes.set(id, msg.codes[id]));
+    document.querySelectorAll("[data-code-for]").forEach(element => {
+      if (element.dataset.codeFor in msg.codes) renderLiveCode(element);
+    });
+    renderCountdowns();
+  });
+  // Chrome stops idle service workers; reconnect to the new one
+  codePort.onDisconnect.addListener(() => setTimeout(connectCodeClock, 500));
+}
+
+/**
+ * Show an account's live code in an element, now and whenever it changes.
+ *
+ * @param {HTMLElement} element - Element whose text becomes the code
+ * @param {string} id - Account id
+ */
+function showLiveCode(element, id) {
+  element.dataset.codeFor = id;
+  renderLiveCode(element);
+}
+
+function renderLiveCode(element) {
+  const entry = liveCodes.get(element.dataset.codeFor);
+  if (entry) element.textContent = entry.code || "Error";
+}
+
+// Countdown rings: radius of the circle and when they turn red
+const COUNTDOWN_RADIUS = 15;
+const COUNTDOWN_CIRCUMFERENCE = 2 * Math.PI * COUNTDOWN_RADIUS;
+const COUNTDOWN_WARNING_SECONDS = 5;
+let countdownTimer = null;
+// Account id -> expiry a refresh was last requested for
+const refreshRequested = new Map();
+
+/**
+ * Ring that empties over the period of an account's code, with the seconds
+ * left in the middle. Hidden for HOTP accounts.
+ *
+ * @param {string} id - Account id
+ * @returns {HTMLElement}
+ */
+function createCountdown(id) {
+  const countdown = document.createElement("span");
+  countdown.className = "countdown";
+  countdown.dataset.countdownFor = id;
+  countdown.innerHTML =
+    "<svg viewBox='0 0 36 36'>" +
+    "<circle class='countdown-track' cx='18' cy='18' r='" + COUNTDOWN_RADIUS + "'></circle>" +
+    "<circle class='countdown-progress' cx='18' cy='18' r='" + COUNTDOWN_RADIUS + "'" +
+    " stroke-dasharray='" + COUNTDOWN_CIRCUMFERENCE + "'></circle>" +
+    "</svg>" +
+    "<span class='countdown-seconds'></span>";
+  renderCountdown(countdown, Date.now());
+
+  // Not in the page yet; the next tick picks it up
+  clearTimeout(countdownTimer);
+  countdownTimer = setTimeout(renderCountdowns, 250);
+  return countdown;
+}
+
+/**
+ * Redraw every countdown and next code on the page. While any countdown is
+ * shown, runs again every quarter second.
+ */
+function renderCountdowns() {
+  clearTimeout(countdownTimer);
+  const countdowns = document.querySelectorAll("[data-countdown-for]");
+  const now = Date.now();
+  countdowns.forEach(countdown => renderCountdown(countdown, now));
+  document.querySelectorAll("[data-next-for]").forEach(nextCode => renderNextCode(nextCode, now));
+  if (countdowns.length) countdownTimer = setTimeout(renderCountdowns, 250);
+}
+
+/**
+ * Draw one countdown. When its code has reached zero, asks the code clock to
+ * refresh, so the new code arrives exactly then.
+ *
+ * @param {HTMLElement} countdown - Element made by `createCountdown`
+ * @param {number} now - Current time in milliseconds
+ */
+function renderCountdown(countdown, now) {
+  const id = countdown.dataset.countdownFor;
+  const entry = liveCodes.get(id);
+  countdown.hidden = !entry || !entry.expiresAt;
+  if (countdown.hidden) return;
+
+  const remaining = Math.max(0, entry.expiresAt - now) / 1000;
+  const offset = COUNTDOWN_CIRCUMFERENCE * (1 - remaining / entry.period);
+  countdown.querySelector(".countdown-progress").setAttribute("stroke-dashoffset", offset);
+  countdown.querySelector(".countdown-seconds").textContent = Math.ceil(remaining);
+  countdown.classList.toggle("expiring", remaining <= COUNTDOWN_WARNING_SECONDS);
+
+  // Expired and not yet replaced: ask once per account and expiry
+  if (!remaining && codePort && refreshRequested.get(id) !== entry.expiresAt) {
+    refreshRequested.set(id, entry.expiresAt);
+    codePort.postMessage({ refresh: true });
+  }
 }
 
+// Seconds before the end of a period from which the next code is shown
+let nextCodeSeconds = DEFAULT_SETTINGS.nextCodeSeconds;
 
+/**
+ * Dimmed line with the code of an account's next period and its own Copy
+ * and Fill buttons, for sites that are slow to accept a code. Only visible in
+ * the last `nextCodeSeconds` of a period; never for HOTP accounts.
+ *
+ * @param {Object} account - Account record
+ * @returns {HTMLElement}
+ */
+function createNextCode(account) {
+  const nextCode = document.createElement("div");
+  nextCode.className = "next-code";
+  nextCode.dataset.nextFor = account.id;
+
+  const label = document.createElement("span");
+  label.textContent = "Next";
+  const code = document.createElement("span");
+  code.className = "next-code-value";
+
+  const copyBtn = createBtn("icons/copy.svg", () => {
+    if (code.textContent === "Loading..." || code.textContent === "Error") return;
+    copyAccountCode(code.textContent, account.id);
+  }, "Copy next code");
+  const fillBtn = createBtn("icons/fill.svg", () => handleFill(code.textContent, account), "Fill next code");
+
+  nextCode.append(label, code, copyBtn, fillBtn);
+  renderNextCode(nextCode, Date.now());
+  return nextCode;
+}
 
+/**
+ * Show or hide one next code, depending on the time left in the period.
+ *
+ * @param {HTMLElement} nextCode - Element made by `createNextCode`
+ * @param {number} now - Current time in milliseconds
+ */
+function renderNextCode(nextCode, now) {
+  const entry = liveCodes.get(nextCode.dataset.nextFor);
+  const remaining = entry && entry.expiresAt ? (entry.expiresAt - now) / 1000 : Infinity;
+  nextCode.hidden = !entry || !entry.next || remaining > nextCodeSeconds;
+  if (!nextCode.hidden) nextCode.querySelector(".next-code-value").textContent = entry.next;
+}
 
+/**
+ * Accounts shown on the list page, in display order, as
+ * `{ account, element, heading }`. Empty while another page is shown.
+ */
+let listEntries = [];
 
+/**
+ * Keyboard control of the popup. On the list page see `handleListKey`;
+ * elsewhere Esc goes back, like the page's Back or Cancel button.
+ *
+ * @param {KeyboardEvent} e
+ */
+function handleShortcutKey(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+  const page = [...document.querySelectorAll("div[id^=page-]")].find(div => div.style.display !== "none");
+  if (!page || page.id === "page-unlock") return;
+
+  if (page.id === "page-list") {
+    handleListKey(e);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    location.hash = location.hash.startsWith("#edit/") ? "#view/" + location.hash.slice("#edit/".length) : "#list";
+  }
+}
+
+/**
+ * Keys of the list page:
+ * - ↑ / ↓ move between the search box and the shown accounts
+ * - Enter fills the focused account, or from the search box the only match
+ * - `c` copies and `v` views the focused account
+ * - `/` focuses the search box; Esc clears it, or returns to it
+ *
+ * @param {KeyboardEvent} e
+ */
+function handleListKey(e) {
+  const search = document.getElementById("account-search");
+  const active = document.activeElement;
+  const shown = listEntries.filter(entry => !entry.element.hidden);
+  const index = shown.findIndex(entry => entry.element.contains(active));
+  const current = index >= 0 ? shown[index] : null;
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    if (!current && active !== search) return;
+    e.preventDefault();
+    const next = index + (e.key === "ArrowDown" ? 1 : -1);
+    if (next < 0) {
+      search.focus();
+    } else if (next < shown.length) {
+      shown[next].element.focus(); // Also scrolls it into view
+    }
+    return;
+  }
+
+  if (e.key === "Enter") {
+    // Focused buttons handle Enter themselves
+    const target = active === search ? (shown.length === 1 ? shown[0] : null) : current && active === current.element ? current : null;
+    if (target) {
+      e.preventDefault();
+      handleFill(target.element.querySelector(".otp-code").textContent, target.account);
+    }
+    return;
+  }
+
+  if (e.key === "Escape") {
+    if (active === search && search.value) {
+      e.preventDefault();
+      search.value = "";
+      search.oninput();
+    } else if (current) {
+      e.preventDefault();
+      search.focus();
+    }
+    return;
+  }
+
+  // Letter keys are text while typing in a field
+  if (isTextField(active)) return;
+
+  if (e.key === "/") {
+    e.preventDefault();
+    search.focus();
+  } else if (e.key === "c" && current) {
+    const code = current.element.querySelector(".otp-code").textContent;
+    if (code === "Loading..." || code === "Error") return;
+    copyAccountCode(code, current.account.id)
+      .then(() => showFillStatus("Copied " + accountLabel(current.account) + "."))
+      .catch(err => console.error("Clipboard error:", err));
+  } else if (e.key === "v" && current) {
+    location.hash = `#view/${encodeURIComponent(current.account.id)}`;
+  }
+}
+
+// Whether typing into an element enters text (so letters are not shortcuts)
+function isTextField(element) {
+  if (!element) return false;
+  if (element.tagName === "TEXTAREA" || element.tagName === "SELECT" || element.isContentEditable) return true;
+  return element.tagName === "INPUT" && !["checkbox", "radio", "button", "submit", "file"].includes(element.type);
+}
+
+document.addEventListener("keydown", handleShortcutKey);
+
+/**
+ * Tell the background worker that Mint is in use, restarting its auto-lock
+ * countdown. Throttled, since it runs on every click and key press.
+ */
+let lastActivityReport = 0;
+function reportActivity() {
+  if (Date.now() - lastActivityReport < 10000) return;
+  lastActivityReport = Date.now();
+  chrome.runtime.sendMessage({ action: "user_activity" }, () => void chrome.runtime.lastError);
+}
+
+["click", "keydown"].forEach(eventName => document.addEventListener(eventName, reportActivity));
+
+// Switch to the unlock page as soon as the vault gets locked (auto-lock)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session" && changes[VAULT_SESSION_KEY] && !changes[VAULT_SESSION_KEY].newValue) {
+    showPage(location.hash);
+  }
+  if (area === "sync" && changes.settings) {
+    loadSettings((settings) => nextCodeSeconds = settings.nextCodeSeconds);
+  }
+});
 
-// Auto-handle hash changes & initial load
+// Auto-handle hash changes & initial load (after upgrading stored data)
 window.addEventListener("hashchange", () => showPage(location.hash));
-window.addEventListener("load", () => showPage(location.hash || "#list"));
+window.addEventListener("load", () => migrateStorage(() => {
+  reportActivity();
+  loadSettings((settings) => nextCodeSeconds = settings.nextCodeSeconds);
+  connectCodeClock();
+  showPage(location.hash || "#list");
+}));
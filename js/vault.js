@@ -0,0 +1,258 @@
+/**
+ * vault.js
+ * --------
+ * Optional master-password encryption of account secrets.
+ *
+ * When the vault is enabled, `chrome.storage.sync` holds a `vault` item
+ * describing the key derivation, and every account record stores
+ * `encSecret: { iv, data }` (AES-GCM, base64) instead of `secret`. The key is
+ * derived from the master password with PBKDF2-SHA256 and, once unlocked, is
+ * kept only in `chrome.storage.session` (memory, never written to disk and
+ * not readable from content scripts). Secrets are decrypted into in-memory
+ * copies of the records by `revealAccounts` and never stored in plaintext.
+ */
+
+const VAULT_VERSION = 1;
+const VAULT_KDF_ITERATIONS = 600000;
+const VAULT_SESSION_KEY = "vaultKey";
+// Known plaintext encrypted with the key, used to check a password
+const VAULT_CHECK_TEXT = "mint-vault";
+
+/**
+ * Derive the AES-GCM vault key from a master password.
+ *
+ * @param {string} password - Master password
+ * @param {Uint8Array} salt - Random per-vault salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} Extractable AES-GCM 256-bit key
+ */
+function deriveVaultKey(password, salt, iterations) {
+  const encoded = new TextEncoder().encode(password);
+  return crypto.subtle.importKey("raw", encoded, "PBKDF2", false, ["deriveKey"]).then(baseKey =>
+    crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    )
+  );
+}
+
+/**
+ * Encrypt a string with AES-GCM under a fresh random IV.
+ *
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} text - Plaintext
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext
+ */
+function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  return crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text))
+    .then(data => ({ iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) }));
+}
+
+/**
+ * Decrypt the output of `encryptText`. Rejects if the key is wrong or the
+ * ciphertext was tampered with.
+ *
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {{iv: string, data: string}} payload - Base64 IV and ciphertext
+ * @returns {Promise<string>} Plaintext
+ */
+function decryptText(key, payload) {
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(payload.iv) }, key, base64ToBytes(payload.data))
+    .then(data => new TextDecoder().decode(data));
+}
+
+/**
+ * Read the vault configuration.
+ *
+ * @returns {Promise<Object|null>} The `vault` item, or null when the vault is off
+ */
+function getVaultConfig() {
+  return chrome.storage.sync.get({ vault: null }).then(data => data.vault);
+}
+
+/**
+ * Get the unlocked vault key for this browser session.
+ *
+ * @returns {Promise<CryptoKey|null>} The key, or null while locked
+ */
+function getVaultKey() {
+  return chrome.storage.session.get(VAULT_SESSION_KEY).then(data => {
+    if (!data[VAULT_SESSION_KEY]) return null;
+    return crypto.subtle.importKey("raw", base64ToBytes(data[VAULT_SESSION_KEY]), "AES-GCM", true, ["encrypt", "decrypt"]);
+  });
+}
+
+/**
+ * Whether the vault is enabled but has not been unlocked in this session.
+ *
+ * @returns {Promise<boolean>}
+ */
+function isVaultLocked() {
+  return Promise.all([getVaultConfig(), getVaultKey()]).then(([vault, key]) => !!vault && !key);
+}
+
+/**
+ * Check a master password and, if it is correct, keep the derived key for
+ * the rest of the browser session.
+ *
+ * @param {string} password - Master password
+ * @returns {Promise<boolean>} False for a wrong password
+ */
+function unlockVault(password) {
+  return getVaultConfig().then(vault => {
+    if (!vault) return true;
+    return deriveVaultKey(password, base64ToBytes(vault.salt), vault.iterations).then(key =>
+      decryptText(key, vault.check)
+        .then(text => text === VAULT_CHECK_TEXT && storeVaultKey(key).then(() => true))
+        .catch(() => false)
+    );
+  });
+}
+
+/**
+ * Forget the session key; secrets stay unreadable until the next unlock.
+ *
+ * @returns {Promise<void>}
+ */
+function lockVault() {
+  return chrome.storage.session.remove(VAULT_SESSION_KEY);
+}
+
+/**
+ * Turn on the vault: derive a key from `password` and re-write every account
+ * with its secret encrypted. Leaves the vault unlocked.
+ *
+ * @param {string} password - New master password
+ * @returns {Promise<void>}
+ */
+function enableVault(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return deriveVaultKey(password, salt, VAULT_KDF_ITERATIONS).then(key =>
+    Promise.all([encryptText(key, VAULT_CHECK_TEXT), readStoredAccounts()]).then(([check, items]) =>
+      Promise.all(Object.values(items).map(account => sealAccount(account, key))).then(sealed => {
+        const update = {
+          vault: { version: VAULT_VERSION, kdf: "PBKDF2-SHA256", iterations: VAULT_KDF_ITERATIONS, salt: bytesToBase64(salt), check }
+        };
+        sealed.forEach(account => update[ACCOUNT_KEY_PREFIX + account.id] = account);
+        // Records and vault config in one write, so they never disagree
+        return chrome.storage.sync.set(update).then(() => storeVaultKey(key));
+      })
+    )
+  );
+}
+
+/**
+ * Turn off the vault after re-checking the password, writing every secret
+ * back in plaintext. Nothing is written unless every secret decrypts, so a
+ * damaged record keeps its ciphertext.
+ *
+ * @param {string} password - Current master password
+ * @returns {Promise<boolean>} False for a wrong password
+ * @throws {Error} (rejects) Naming the accounts whose secret could not be
+ *   decrypted; the vault stays enabled
+ */
+function disableVault(password) {
+  return unlockVault(password).then(ok => {
+    if (!ok) return false;
+    return Promise.all([getVaultKey(), readStoredAccounts()]).then(([key, items]) =>
+      Promise.all(Object.values(items).map(account => openAccount(account, key))).then(opened => {
+        const failed = opened.filter(account => account.revealError);
+        if (failed.length) {
+          throw new Error("These secrets could not be decrypted: " + failed.map(accountLabel).join(", ") + ".");
+        }
+        const update = {};
+        opened.forEach(account => update[ACCOUNT_KEY_PREFIX + account.id] = account);
+        return chrome.storage.sync.set(update)
+          .then(() => chrome.storage.sync.remove("vault"))
+          .then(lockVault)
+          .then(() => true);
+      })
+    );
+  });
+}
+
+/**
+ * Prepare records for storage: encrypt secrets when the vault is enabled,
+ * pass them through unchanged otherwise.
+ *
+ * @param {Object[]} accounts - Records holding plaintext `secret`
+ * @returns {Promise<Object[]>} Records safe to store
+ * @throws {Error} (rejects) If the vault is enabled but locked
+ */
+function sealAccounts(accounts) {
+  return Promise.all([getVaultConfig(), getVaultKey()]).then(([vault, key]) => {
+    if (!vault) return accounts;
+    if (!key) throw new Error("The vault is locked. Unlock Mint and try again.");
+    return Promise.all(accounts.map(account => sealAccount(account, key)));
+  });
+}
+
+/**
+ * Decrypt stored records into in-memory copies carrying plaintext `secret`.
+ * Records stay encrypted (no `secret`) while the vault is locked. A record
+ * that fails to decrypt comes back without `secret` and with `revealError`
+ * explaining why, so one damaged record does not hide all the others.
+ *
+ * @param {Object[]} accounts - Records as stored
+ * @returns {Promise<Object[]>} Records ready for code generation
+ */
+function revealAccounts(accounts) {
+  if (!accounts.some(account => account.encSecret)) return Promise.resolve(accounts);
+  return getVaultKey().then(key => {
+    if (!key) return accounts;
+    return Promise.all(accounts.map(account => openAccount(account, key)));
+  });
+}
+
+// Encrypted copy of a record (records already sealed are returned as-is)
+function sealAccount(account, key) {
+  if (account.encSecret) return Promise.resolve(account);
+  // Would replace the stored secret with nothing
+  if (account.revealError) return Promise.reject(new Error(account.revealError));
+  const { secret, ...rest } = account;
+  return encryptText(key, secret).then(encSecret => ({ ...rest, encSecret }));
+}
+
+// Plaintext copy of a record
+function openAccount(account, key) {
+  if (!account.encSecret) return Promise.resolve(account);
+  const { encSecret, ...rest } = account;
+  return Promise.resolve(encSecret)
+    .then(payload => decryptText(key, payload))
+    .then(secret => ({ ...rest, secret }))
+    .catch(err => {
+      console.error("Could not decrypt account " + account.id + ":", err);
+      return { ...rest, revealError: "The secret could not be decrypted." };
+    });
+}
+
+// All stored account records, keyed by storage key, without decryption
+function readStoredAccounts() {
+  return chrome.storage.sync.get(null).then(items => {
+    const accounts = {};
+    for (const key in items) {
+      if (key.startsWith(ACCOUNT_KEY_PREFIX)) accounts[key] = items[key];
+    }
+    return accounts;
+  });
+}
+
+function storeVaultKey(key) {
+  return crypto.subtle.exportKey("raw", key).then(raw =>
+    chrome.storage.session.set({ [VAULT_SESSION_KEY]: bytesToBase64(new Uint8Array(raw)) })
+  );
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}